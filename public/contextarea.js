@@ -5,11 +5,37 @@
  *   const ca = ContextArea.create(element, {
  *     pasteApiUrl: '/paste',
  *     contextApiUrl: '/context',
- *     suggestions: [{ name, url, icon, description }],  // @-triggered autocomplete
- *     onSubmit: (value, instance) => { ... },            // Shift+Enter callback
+ *     tokensApiUrl: '/tokens',                          // counts the inline text for tokenBudget
+ *     pasteExpiry: '7d',                                // '10m' | '1h' | '7d' | 'never' | 'burn' (default: server's 30d)
+ *     encrypt: true,                                    // encrypt pastes and drops in the browser; the key stays in the link's #key= fragment
+ *     language: 'plaintext',                            // any Monaco language (default 'markdown'); URL features work in all
+ *     tokenizer: 'gpt-4o',                              // model or encoding (e.g. 'cl100k_base') for token counts
+ *     tokenBudget: 8000,                                // show used/remaining tokens for the whole prompt, warn when over
+ *     apiKey: '…',                                      // sent as X-API-Key with every paste and context request
+ *     headers: { ... },                                 // extra headers for those requests
+ *     suggestions: [{ name, url, icon, description }],  // @-triggered autocomplete, fuzzy-ranked; also a registry URL
+ *                                                       // (JSON list, e.g. of MCP servers) or async (query, { page, pageSize }) => ({ items, hasMore })
+ *     mcpServers: { github: 'https://…/mcp' },          // MCP servers (or { url, headers, description }): @github/ completes their
+ *                                                       // resources and prompts, which then resolve like URL references
+ *     commands: [{ name, description, insertText | run }], // extra / commands; run(instance, { selection }) may return text to insert
+ *     templates: [{ name, description, text }],         // inserted by the /template:<name> commands
+ *     persistKey: 'chat',                               // autosave the draft (IndexedDB, else localStorage) and restore it on load
+ *     persistHistory: 20,                               // revisions kept (see saveRevision / listRevisions / diffRevision / restoreRevision)
+ *     persistOnSubmit: 'snapshot',                      // on submit: 'snapshot' (save a revision) or 'clear' (drop the saved draft)
+ *     suggestionPageSize: 20,                           // suggestions shown per page ("More results" loads the next)
+ *     onSubmit: (value, instance, totals, context) => { ... }, // Shift+Enter callback; totals from getTokenTotals(), context from getContext()
  *   });
  *   ca.editor   // underlying Monaco editor instance
+ *   ca.deletePaste(url) // delete a paste uploaded by this instance
+ *   ca.getTokenTotals() // { inlineTokens, inlineEstimated, referenceTokens, totalTokens, budget, remaining, overBudget, pending, references }
+ *   ca.on('upload:done', (e) => { ... }) // structured events (see EVENT_TYPES); returns { dispose() }
+ *   ca.getValue({ expansions: false }) // the text with expanded URLs collapsed back to their links
+ *   await ca.getContext({ content: true, wait: true }) // { text, references, mentions, expansions, totals }
+ *   ca.uploadPaste(text) / ca.fetchContext(url) // the paste and context APIs, for commands and hosts
+ *   await ca.saveRevision(name) / listRevisions() / diffRevision(id) / restoreRevision(id) / clearDraft()
  *   ca.dispose() // clean up
+ *
+ * Several instances can share a page: each one's hovers, hints and actions only apply to its own editor.
  */
 (function (global) {
   "use strict";
@@ -33,6 +59,734 @@
     };
   }
 
+  // ── events ───────────────────────────────────────────────────────────
+  //
+  //   upload:start / upload:done / upload:error
+  //     { source: 'paste' | 'drop' | 'folder' | 'command', files, bytes, encrypted, bundle, name }
+  //     done adds { url, urls } (urls: every link inserted); error adds { error, code, status }
+  //   context:resolved  { url, title, type, tokens, tokensEstimated, encoding, resolver, encrypted }
+  //   context:error     { url, error, code }
+  //   expand            { url, range, state: 'start' | 'done' | 'error', refresh, tokens, error }
+  //   mention           { name, url, description } when an @suggestion is accepted
+  //   suggestions:error { query, error } when the suggestion source failed to list matches
+  //   budget:exceeded   the getTokenTotals() result, when the prompt goes over tokenBudget
+  //   command           { name, state: 'done' | 'error', error, code } after a / command ran
+  //   draft:restored    { savedAt } when the autosaved draft replaced the initial value on load
+  //   draft:error       { action: 'restore' | 'save', error } when the draft store failed
+
+  const EVENT_TYPES = [
+    "upload:start",
+    "upload:done",
+    "upload:error",
+    "context:resolved",
+    "context:error",
+    "expand",
+    "mention",
+    "suggestions:error",
+    "budget:exceeded",
+    "command",
+    "draft:restored",
+    "draft:error"
+  ];
+
+  // ── @suggestions ──────────────────────────────────────────────────────
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+  }
+
+  /** `text` as literal markdown: remote strings must not add formatting, HTML or (command) links. */
+  function escapeMarkdown(text) {
+    return String(text).replace(/[\\`*_{}[\]()#+\-.!|<>&~]/g, "\\$&");
+  }
+
+  /**
+   * Fuzzy match of `query` against `text`: null unless all its characters appear in order,
+   * otherwise a score favouring consecutive characters, word starts and early matches.
+   */
+  function fuzzyScore(query, text) {
+    const q = query.toLowerCase();
+    const t = text.toLowerCase();
+    let score = 0;
+    let from = 0;
+    let previous = -2;
+    for (const ch of q) {
+      const i = t.indexOf(ch, from);
+      if (i === -1) return null;
+      score += 1;
+      if (i === previous + 1) score += 3;
+      if (i === 0 || /[\s\-_/.@]/.test(t[i - 1])) score += 2;
+      previous = i;
+      from = i + 1;
+    }
+    return score - t.indexOf(q[0]) * 0.1 - t.length * 0.01;
+  }
+
+  /** `items` matching `query`, best first: fuzzy matches on the name, then names whose description contains it. */
+  function rankSuggestions(items, query) {
+    if (!query) return items.slice();
+    const q = query.toLowerCase();
+    return items
+      .map((item, i) => {
+        const name = fuzzyScore(query, item.name);
+        const inDescription = (item.description || "")
+          .toLowerCase()
+          .includes(q);
+        return { item, i, score: name ?? (inDescription ? -100 : null) };
+      })
+      .filter((r) => r.score !== null)
+      .sort((a, b) => b.score - a.score || a.i - b.i)
+      .map((r) => r.item);
+  }
+
+  /**
+   * Suggestions from a registry's JSON: a list, or an object with a `servers` or `items` list.
+   * Entries of the MCP registry (`{ server: { name, description, websiteUrl, ... } }`) are mapped too.
+   */
+  function registryItems(json) {
+    const list = Array.isArray(json) ? json : json.servers || json.items || [];
+    return list
+      .map((entry) => {
+        const s = entry.server || entry;
+        return {
+          name: s.name,
+          url: s.url || s.websiteUrl || s.repository?.url || "",
+          icon: s.icon || s.icons?.[0]?.src || "",
+          description: s.description || ""
+        };
+      })
+      .filter((s) => s.name);
+  }
+
+  /**
+   * The `suggestions` option as one async source, `(query, { page, pageSize }) → { items, hasMore }`.
+   * Arrays and registry URLs (fetched once) are ranked here; a provider function ranks its own
+   * results and may return a plain array for a single page.
+   */
+  function suggestionSource(option) {
+    if (typeof option === "function") {
+      return async (query, paging) => {
+        const result = await option(query, paging);
+        return Array.isArray(result)
+          ? { items: result, hasMore: false }
+          : { items: result?.items || [], hasMore: !!result?.hasMore };
+      };
+    }
+
+    let load;
+    if (typeof option === "string") {
+      let registry = null;
+      load = () =>
+        (registry ??= fetch(option)
+          .then((r) => {
+            if (!r.ok) throw new Error(`Registry fetch failed (${r.status})`);
+            return r.json();
+          })
+          .then(registryItems)
+          .catch((err) => {
+            registry = null; // try again on the next @
+            throw err;
+          }));
+    } else {
+      load = async () => option;
+    }
+    return async (query, { page, pageSize }) => {
+      const ranked = rankSuggestions(await load(), query);
+      const end = (page + 1) * pageSize;
+      return {
+        items: ranked.slice(page * pageSize, end),
+        hasMore: ranked.length > end
+      };
+    };
+  }
+
+  // ── MCP references ───────────────────────────────────────────────────
+  //
+  // `@server/<resource URI>` and `@server/prompt:<name>[?arg=value&...]` refer to a resource or
+  // prompt of a server from the `mcpServers` option. They are resolved in the browser over the
+  // Streamable HTTP transport (JSON-RPC in POST requests), then behave like URL references.
+
+  const MCP_PROTOCOL_VERSION = "2025-06-18";
+  const MCP_LISTING_TTL = 60000;
+  const MCP_MAX_LISTED = 1000;
+  let mcpRequestId = 0;
+
+  /** Send one JSON-RPC message; resolves to its result (null for notifications). */
+  async function mcpPost(server, message, retried = false) {
+    const headers = {
+      "Content-Type": "application/json",
+      Accept: "application/json, text/event-stream",
+      ...server.headers
+    };
+    if (server.sessionId) headers["Mcp-Session-Id"] = server.sessionId;
+    if (server.protocolVersion)
+      headers["MCP-Protocol-Version"] = server.protocolVersion;
+    const r = await fetch(server.url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(message)
+    });
+
+    // An expired session answers 404: start a new one, once
+    if (r.status === 404 && server.sessionId && !retried) {
+      server.sessionId = null;
+      server.ready = null;
+      if (message.method === "initialize")
+        return mcpPost(server, message, true);
+      await mcpReady(server);
+      return mcpPost(server, message, true);
+    }
+    if (!r.ok) {
+      throw Object.assign(new Error(`HTTP ${r.status}`), {
+        code: "mcp_unavailable",
+        status: r.status
+      });
+    }
+    const session = r.headers.get("Mcp-Session-Id");
+    if (session) server.sessionId = session;
+    if (message.id === undefined) return null;
+
+    let reply;
+    if ((r.headers.get("Content-Type") || "").includes("text/event-stream")) {
+      // One SSE event per message; the reply is the one with our ID
+      reply = (await r.text())
+        .split(/\r?\n\r?\n/)
+        .map((event) =>
+          event
+            .split(/\r?\n/)
+            .filter((line) => line.startsWith("data:"))
+            .map((line) => line.slice(5).trimStart())
+            .join("\n")
+        )
+        .filter(Boolean)
+        .map((data) => {
+          try {
+            return JSON.parse(data);
+          } catch {
+            return null;
+          }
+        })
+        .find((m) => m && m.id === message.id);
+    } else {
+      reply = await r.json().catch(() => null);
+    }
+    if (!reply) {
+      throw Object.assign(new Error("no reply"), { code: "mcp_failed" });
+    }
+    if (reply.error) {
+      throw Object.assign(new Error(reply.error.message), {
+        code: "mcp_error",
+        rpcCode: reply.error.code
+      });
+    }
+    return reply.result;
+  }
+
+  /** The initialize handshake, done once per server (again after a failure or an expired session). */
+  function mcpReady(server) {
+    server.ready ??= mcpPost(server, {
+      jsonrpc: "2.0",
+      id: ++mcpRequestId,
+      method: "initialize",
+      params: {
+        protocolVersion: MCP_PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: { name: "ContextArea", version: "1.0" }
+      }
+    })
+      .then((result) => {
+        server.protocolVersion = result.protocolVersion;
+        return mcpPost(server, {
+          jsonrpc: "2.0",
+          method: "notifications/initialized"
+        });
+      })
+      .catch((err) => {
+        server.ready = null;
+        throw err;
+      });
+    return server.ready;
+  }
+
+  async function mcpCall(server, method, params = {}) {
+    await mcpReady(server);
+    return mcpPost(server, {
+      jsonrpc: "2.0",
+      id: ++mcpRequestId,
+      method,
+      params
+    });
+  }
+
+  /** Every item of a paginated list method; empty when the server does not offer it. */
+  async function mcpList(server, method, key) {
+    const items = [];
+    let cursor;
+    do {
+      let result;
+      try {
+        result = await mcpCall(server, method, cursor ? { cursor } : {});
+      } catch (err) {
+        if (err.rpcCode === -32601) return items; // method not found
+        throw err;
+      }
+      items.push(...(result[key] || []));
+      cursor = result.nextCursor;
+    } while (cursor && items.length < MCP_MAX_LISTED);
+    return items;
+  }
+
+  /**
+   * A server's resources and prompts as suggestions (`name` being the reference without its `@`),
+   * kept for MCP_LISTING_TTL. Also remembers resource names for titles.
+   */
+  function mcpListing(server) {
+    if (server.listing && Date.now() - server.listing.time < MCP_LISTING_TTL) {
+      return server.listing.promise;
+    }
+    const promise = Promise.all([
+      mcpList(server, "resources/list", "resources"),
+      mcpList(server, "prompts/list", "prompts")
+    ]).then(([resources, prompts]) => {
+      server.resources = new Map(resources.map((r) => [r.uri, r]));
+      return [
+        ...resources.map((r) => ({
+          name: `${server.name}/${r.uri}`,
+          description: [r.title || r.name, r.description]
+            .filter(Boolean)
+            .join(" \u2014 "),
+          reference: true
+        })),
+        ...prompts.map((p) => ({
+          name: `${server.name}/prompt:${p.name}`,
+          description: [
+            p.description || "Prompt",
+            p.arguments?.length &&
+              `arguments: ${p.arguments.map((a) => a.name).join(", ")}`
+          ]
+            .filter(Boolean)
+            .join(" \u2014 "),
+          reference: true
+        }))
+      ];
+    });
+    server.listing = { promise, time: Date.now() };
+    promise.catch(() => (server.listing = null));
+    return promise;
+  }
+
+  /** Text of an MCP content block (prompt messages). */
+  function mcpContentText(content) {
+    if (content.type === "text") return content.text;
+    if (content.type === "resource") return content.resource?.text ?? "";
+    return `[${content.type}]`;
+  }
+
+  // ── drafts ───────────────────────────────────────────────────────────
+  //
+  // Drafts and revision histories are kept per `persistKey` in one store shared by all
+  // instances: IndexedDB when it opens, else localStorage. Values are plain objects.
+
+  const localDraftStore = {
+    async get(key) {
+      return JSON.parse(localStorage.getItem(`contextarea:${key}`) ?? "null");
+    },
+    async set(key, value) {
+      localStorage.setItem(`contextarea:${key}`, JSON.stringify(value));
+    },
+    async delete(key) {
+      localStorage.removeItem(`contextarea:${key}`);
+    }
+  };
+
+  function idbDraftStore(db) {
+    const run = (mode, fn) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction("drafts", mode);
+        const request = fn(tx.objectStore("drafts"));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+      });
+    return {
+      get: (key) => run("readonly", (store) => store.get(key)),
+      set: (key, value) => run("readwrite", (store) => store.put(value, key)),
+      delete: (key) => run("readwrite", (store) => store.delete(key))
+    };
+  }
+
+  let draftStore = null;
+  function getDraftStore() {
+    draftStore ??= new Promise((resolve, reject) => {
+      if (!global.indexedDB) throw new Error("no IndexedDB");
+      const request = indexedDB.open("contextarea", 1);
+      request.onupgradeneeded = () =>
+        request.result.createObjectStore("drafts");
+      request.onsuccess = () => resolve(idbDraftStore(request.result));
+      request.onerror = () => reject(request.error);
+    }).catch(() => localDraftStore); // e.g. private browsing
+    return draftStore;
+  }
+
+  // Largest LCS table diffLines builds (4 bytes per entry); beyond it the changed middle is
+  // reported as replaced wholesale, so diffing large revisions stays bounded in time and memory
+  const MAX_DIFF_CELLS = 4000000;
+
+  /**
+   * Line diff from `a` to `b`: `[{ type: 'same' | 'removed' | 'added', text }]`. Common lines at
+   * both ends are matched directly; the rest by longest common subsequence, up to MAX_DIFF_CELLS.
+   */
+  function diffLines(a, b) {
+    const x = a.split("\n");
+    const y = b.split("\n");
+    let head = 0;
+    while (head < x.length && head < y.length && x[head] === y[head]) head++;
+    let tail = 0;
+    while (
+      tail < x.length - head &&
+      tail < y.length - head &&
+      x[x.length - 1 - tail] === y[y.length - 1 - tail]
+    )
+      tail++;
+    const xs = x.slice(head, x.length - tail);
+    const ys = y.slice(head, y.length - tail);
+    const same = (text) => ({ type: "same", text });
+    const removed = (text) => ({ type: "removed", text });
+    const added = (text) => ({ type: "added", text });
+
+    const middle = [];
+    const width = ys.length + 1;
+    if ((xs.length + 1) * width > MAX_DIFF_CELLS) {
+      middle.push(...xs.map(removed), ...ys.map(added));
+    } else {
+      // lcs[i * width + j]: length of the LCS of xs[i..] and ys[j..]
+      const lcs = new Uint32Array((xs.length + 1) * width);
+      for (let i = xs.length - 1; i >= 0; i--) {
+        for (let j = ys.length - 1; j >= 0; j--) {
+          lcs[i * width + j] =
+            xs[i] === ys[j]
+              ? lcs[(i + 1) * width + j + 1] + 1
+              : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+      }
+      let i = 0;
+      let j = 0;
+      while (i < xs.length || j < ys.length) {
+        if (i < xs.length && j < ys.length && xs[i] === ys[j]) {
+          middle.push(same(xs[i++]));
+          j++;
+        } else if (
+          j < ys.length &&
+          (i === xs.length ||
+            lcs[i * width + j + 1] >= lcs[(i + 1) * width + j])
+        ) {
+          middle.push(added(ys[j++]));
+        } else {
+          middle.push(removed(xs[i++]));
+        }
+      }
+    }
+    return [
+      ...x.slice(0, head).map(same),
+      ...middle,
+      ...x.slice(x.length - tail).map(same)
+    ];
+  }
+
+  // ── / commands ───────────────────────────────────────────────────────
+
+  // Built-in commands; `commands` from the options come after and replace any of the same name
+  const BUILTIN_COMMANDS = [
+    {
+      name: "upload",
+      description: "Upload the last selection as a paste and link it",
+      run: (ca, { selection }) => ca._uploadSelection(selection)
+    },
+    {
+      name: "expand",
+      description: "Expand every link into its content",
+      run: (ca) => ca._expandAll()
+    },
+    {
+      name: "clear",
+      description: "Clear the editor",
+      run: (ca) => ca._clear()
+    }
+  ];
+
+  /** `url` resolved, if it is http(s) (or, with `data`, a data: image); otherwise null. */
+  function safeUrl(url, { data = false } = {}) {
+    if (typeof url !== "string") return null;
+    if (data && /^data:image\//i.test(url)) return url;
+    try {
+      const parsed = new URL(url, document.baseURI);
+      return /^https?:$/.test(parsed.protocol) ? parsed.href : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Hover and completion documentation for a suggestion. Suggestions may come from a remote
+   * registry or MCP server, so every field is escaped and the result is not trusted.
+   */
+  function describeMention(s) {
+    const icon = safeUrl(s.icon, { data: true });
+    const name = `**${escapeMarkdown(s.name)}**`;
+    let value = icon
+      ? `<img src="${icon.replace(/[&"<>]/g, (c) => `&#${c.charCodeAt(0)};`)}" width="16" height="16">&nbsp; ${name}`
+      : name;
+    if (s.description) value += `\n\n${escapeMarkdown(s.description)}`;
+    const url = safeUrl(s.url);
+    if (url) value += `\n\n[${escapeMarkdown(url)}](<${url}>)`;
+    else if (s.url) value += `\n\n${escapeMarkdown(s.url)}`;
+    return { value, supportHtml: true };
+  }
+
+  /** `[message, busy]` for `onStatus`, which is derived from the events; null for events it never reported. */
+  function statusFor(type, e) {
+    switch (type) {
+      case "upload:start":
+        if (e.source === "paste" || e.source === "command")
+          return ["Uploading to pastebin...", true];
+        if (e.source === "drop")
+          return [`Uploading ${e.files} file(s)...`, true];
+        return e.bundle
+          ? [`Uploading ${e.files} file(s) as one bundle...`, true]
+          : [`Uploading ${e.files} encrypted file(s)...`, true];
+      case "upload:done":
+        if (e.source === "paste" || e.source === "command")
+          return [`Uploaded: ${e.url}`];
+        if (e.source === "drop") return [`Uploaded ${e.files} file(s)`];
+        return e.bundle
+          ? [`Uploaded ${e.name} (${e.files} files)`]
+          : [`Uploaded ${e.files} encrypted file(s)`];
+      case "upload:error":
+        return [`Upload failed: ${e.error}`];
+      case "expand":
+        if (e.state === "start") return ["Fetching URL content...", true];
+        if (e.state === "error") return [`Failed to expand: ${e.error}`];
+        return [`${e.refresh ? "Refreshed" : "Expanded"}: ${e.url}`];
+      case "command":
+        return e.state === "error"
+          ? [`Command /${e.name} failed: ${e.error}`]
+          : null;
+      case "draft:restored":
+        return [
+          `Restored the draft saved ${new Date(e.savedAt).toLocaleString()}`
+        ];
+      case "draft:error":
+        return [`Could not ${e.action} the draft: ${e.error}`];
+      case "budget:exceeded":
+        return [
+          `Over the token budget: \u2248${e.totalTokens.toLocaleString()} of ${e.budget.toLocaleString()} tokens`
+        ];
+      default:
+        return null;
+    }
+  }
+
+  /** An Error for a failed API response, with the `code` and `status` from its JSON body when there is one. */
+  async function responseError(r) {
+    const body = await r.json().catch(() => null);
+    const err = new Error(body?.error || String(r.status));
+    err.code = body?.code || null;
+    err.status = r.status;
+    return err;
+  }
+
+  /** How long a 429 response asks to wait, in ms, from `Retry-After` (seconds or a date); 30 s without one. */
+  function retryAfterMs(r) {
+    const value = (r.headers.get("Retry-After") || "").trim();
+    if (/^\d+$/.test(value)) return Number(value) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? 30000 : Math.max(0, date - Date.now());
+  }
+
+  /** The error fields of an `upload:error` or `expand` event. */
+  function errorDetails(err) {
+    return {
+      error: err.message,
+      code: err.code || null,
+      status: err.status ?? null
+    };
+  }
+
+  /** One-line note on how the server derived a URL's content (see `extraction` in /context). */
+  function describeExtraction(data) {
+    switch (data.extraction) {
+      case "html":
+        return "Extracted: main content as markdown";
+      case "pdf":
+        return `Extracted: PDF text${data.pages ? ` (${data.pages} pages)` : ""}`;
+      case "docx":
+        return "Extracted: DOCX text";
+      case "image":
+        return "Image: format and size only, no text extracted";
+      case "none":
+        return "Binary: no text extracted";
+      default:
+        return "";
+    }
+  }
+
+  /** Hover line for a `#L10-L40` / `#$.path` selection reported by /context. */
+  function describeSelection(selection) {
+    if (selection.kind === "lines") {
+      return `Selection: lines ${selection.start}\u2013${selection.end} of ${selection.totalLines}`;
+    }
+    const matches =
+      selection.matches > 1 ? ` (${selection.matches} matches)` : "";
+    return `Selection: \`${selection.path}\`${matches}`;
+  }
+
+  /**
+   * Strip trailing punctuation from a bare URL, keeping closing brackets that
+   * pair up inside it (e.g. a `#$.items[0]` selector).
+   */
+  function trimUrl(raw) {
+    let url = raw;
+    while (url) {
+      const last = url[url.length - 1];
+      const open = { ")": "(", "]": "[" }[last];
+      const unbalanced =
+        open && url.split(last).length > url.split(open).length;
+      if (!/[.,;:!?'"]/.test(last) && !unbalanced) break;
+      url = url.slice(0, -1);
+    }
+    return url;
+  }
+
+  /**
+   * Hover lines for a bundle paste: its files, each text file linking to an Expand
+   * of just that file (served from `<bundle>/files/<path>`); `expandLink(url)` builds that link.
+   */
+  function describeBundle(url, bundle, expandLink) {
+    const base = url.split("#")[0];
+    const shown = bundle.files.slice(0, MAX_BUNDLE_HOVER_FILES);
+    let msg = "\n**Files**\n\n";
+    for (const file of shown) {
+      const label = escapeMarkdown(file.path);
+      if (file.tokens === null) {
+        msg += `- ${label} (binary)\n`;
+        continue;
+      }
+      const fileUrl = `${base}/files/${file.path.split("/").map(encodeURIComponent).join("/")}`;
+      msg += `- [${label}](${expandLink(fileUrl)}) \u2014 ${file.tokens} tokens\n`;
+    }
+    if (bundle.files.length > shown.length) {
+      msg += `- \u2026 and ${bundle.files.length - shown.length} more\n`;
+    }
+    return msg;
+  }
+
+  /** Files under a dropped FileSystemEntry, as `{ file, path }` with `/`-separated paths. */
+  async function readEntryFiles(entry, prefix) {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) =>
+        entry.file(resolve, reject)
+      );
+      return [{ file, path: prefix + entry.name }];
+    }
+    const reader = entry.createReader();
+    const children = [];
+    // readEntries hands out a directory's entries in batches, then an empty one
+    for (;;) {
+      const batch = await new Promise((resolve, reject) =>
+        reader.readEntries(resolve, reject)
+      );
+      if (!batch.length) break;
+      children.push(...batch);
+    }
+    const nested = await Promise.all(
+      children.map((child) => readEntryFiles(child, `${prefix}${entry.name}/`))
+    );
+    return nested.flat();
+  }
+
+  // ── end-to-end encryption ───────────────────────────────────────────
+  //
+  // An encrypted paste is `iv (12 bytes) || AES-256-GCM(header JSON + "\n" + content)`, the
+  // header holding `{ contentType, fileName, lastModified }`. The key only travels in the
+  // link's `#key=` fragment, which browsers do not send to the server.
+
+  const KEY_FRAGMENT_RE = /#key=([A-Za-z0-9_-]+)/;
+  const FRAGMENT_LINES_RE = /&L(\d+)(?:-L?(\d+))?$/;
+
+  function toBase64Url(bytes) {
+    return btoa(String.fromCharCode(...bytes))
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "");
+  }
+
+  function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+    return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  }
+
+  /** Encrypt `content` (bytes) with a fresh key. Resolves to `{ body, key }`, the key base64url-encoded. */
+  async function encryptPaste(content, header) {
+    const key = await crypto.subtle.generateKey(
+      { name: "AES-GCM", length: 256 },
+      true,
+      ["encrypt", "decrypt"]
+    );
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const head = new TextEncoder().encode(JSON.stringify(header) + "\n");
+    const plain = new Uint8Array(head.length + content.length);
+    plain.set(head);
+    plain.set(content, head.length);
+    const sealed = new Uint8Array(
+      await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, plain)
+    );
+    const body = new Uint8Array(iv.length + sealed.length);
+    body.set(iv);
+    body.set(sealed, iv.length);
+    const rawKey = new Uint8Array(await crypto.subtle.exportKey("raw", key));
+    return { body, key: toBase64Url(rawKey) };
+  }
+
+  /** Decrypt an encrypted paste's raw body. Resolves to `{ header, content }` (content as bytes). */
+  async function decryptPaste(body, keyText) {
+    const bytes = new Uint8Array(body);
+    let plain;
+    try {
+      const key = await crypto.subtle.importKey(
+        "raw",
+        fromBase64Url(keyText),
+        "AES-GCM",
+        false,
+        ["decrypt"]
+      );
+      plain = new Uint8Array(
+        await crypto.subtle.decrypt(
+          { name: "AES-GCM", iv: bytes.subarray(0, 12) },
+          key,
+          bytes.subarray(12)
+        )
+      );
+    } catch {
+      throw new Error("wrong key or damaged paste");
+    }
+    const newline = plain.indexOf(10);
+    return {
+      header: JSON.parse(new TextDecoder().decode(plain.subarray(0, newline))),
+      content: plain.subarray(newline + 1)
+    };
+  }
+
+  /** Rough token count for text the server has not counted: about 4 characters per token. */
+  function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+  }
+
+  const BATCH_SIZE = 50; // matches the worker's per-request limit for POST /context
+  // Rejections that stay true for a URL; other failures (timeouts, upstream errors) are looked up again
+  const LASTING_ERROR_RE =
+    /^(?:private_address|domain_blocked|domain_not_allowed|response_too_large)$/;
+  const ERROR_RETRY_MS = 30000;
+  const MAX_BUNDLE_HOVER_FILES = 30;
+
   const URL_REGEX = /(https?:\/\/[^\s]+)/g;
   const MD_LINK_REGEX = /\[([^\]]*)\]\((https?:\/\/[^\s)]+)\)/g;
 
@@ -48,6 +802,14 @@
             .monaco-editor .url-decoration-error { text-decoration: underline wavy #ff4d4d; cursor: pointer; }
             .monaco-editor .url-decoration-error:hover { background: rgba(255,77,77,0.1) !important; }
             .monaco-editor .ca-mention { color: #7cb7ff !important; font-weight: 600; background: rgba(124,183,255,0.1); border-radius: 3px; padding: 0 2px; }
+            .monaco-editor .ca-expansion { background: rgba(77,166,255,0.06); }
+            .monaco-editor .ca-expansion-gutter { border-left: 2px solid rgba(77,166,255,0.6); margin-left: 4px; }
+            .ca-budget { margin: 0 18px 6px 0; padding: 4px 8px; min-width: 180px; font: 12px system-ui, sans-serif; color: #888; background: rgba(127,127,127,0.12); border-radius: 4px; pointer-events: none; }
+            .ca-budget-bar { height: 3px; margin-top: 3px; background: rgba(127,127,127,0.25); border-radius: 2px; overflow: hidden; }
+            .ca-budget-bar > div { height: 100%; background: #4da6ff; }
+            .ca-budget.near .ca-budget-bar > div { background: #e0a800; }
+            .ca-budget.over { color: #ff4d4d; }
+            .ca-budget.over .ca-budget-bar > div { background: #ff4d4d; }
             .ca-drop-overlay { position:absolute;inset:0;background:rgba(0,42,226,.95);border:4px dashed #fff;border-radius:10px;display:none;align-items:center;justify-content:center;z-index:10000;pointer-events:none; }
             .ca-drop-overlay.active { display:flex; }
             .ca-drop-content { text-align:center;color:#fff; }
@@ -66,27 +828,84 @@
       this.config = {
         pasteApiUrl: options.pasteApiUrl ?? "/paste",
         contextApiUrl: options.contextApiUrl ?? "/context",
+        tokensApiUrl: options.tokensApiUrl ?? "/tokens",
         pasteThreshold: options.pasteThreshold ?? 1000,
-        contextDebounce: options.contextDebounce ?? 500
+        suggestionPageSize: options.suggestionPageSize ?? 20,
+        contextDebounce: options.contextDebounce ?? 500,
+        tokenizer: options.tokenizer ?? null,
+        tokenBudget: options.tokenBudget ?? null,
+        persistKey: options.persistKey ?? null,
+        persistInterval: options.persistInterval ?? 1000,
+        persistHistory: options.persistHistory ?? 20,
+        persistOnSubmit: options.persistOnSubmit ?? null,
+        pasteExpiry: options.pasteExpiry ?? null,
+        apiKey: options.apiKey ?? null,
+        headers: options.headers ?? {},
+        encrypt: options.encrypt ?? false
       };
 
-      this.suggestions = options.suggestions || [];
+      const suggestions = options.suggestions;
+      this.suggestionSource =
+        typeof suggestions === "function" ||
+        typeof suggestions === "string" ||
+        suggestions?.length
+          ? suggestionSource(suggestions)
+          : null;
+      this.knownMentions = new Map(); // name → suggestion, for every one seen so far
+      if (Array.isArray(suggestions))
+        suggestions.forEach((s) => this.knownMentions.set(s.name, s));
+      this.suggestionPages = { query: null, count: 1 };
+      this.mcpServers = new Map(
+        Object.entries(options.mcpServers || {}).map(([name, server]) => [
+          name,
+          {
+            ...(typeof server === "string" ? { url: server } : server),
+            name,
+            headers: server.headers || {}
+          }
+        ])
+      );
+      for (const server of this.mcpServers.values()) {
+        this.knownMentions.set(server.name, {
+          name: server.name,
+          url: server.url,
+          icon: server.icon || "",
+          description:
+            server.description ||
+            "MCP server: type / for its resources and prompts",
+          mcp: true
+        });
+      }
 
+      this.id = ContextAreaInstance._nextId++;
       this.element = element;
       this.element.style.position = "relative"; // for drop overlay
 
       this.contextCache = new Map();
+      this.contextRetryAt = new Map(); // URL → time (ms) after which a cached failure is looked up again
+      this.pasteTokens = new Map(); // paste URL → management token
+      this.burnPastes = new Set(); // burn-after-read paste URLs (without fragment) uploaded here
       this.pendingContextFetches = new Map();
+      this.rateLimitedUntil = 0; // no /context lookups before this time (ms), after a 429
       this.currentUrlsInText = new Map();
       this.urlDecorations = [];
       this.mentionDecorations = [];
+      this.expansions = new Map(); // ID → { id, url, title, source, decorationId }
+      this.nextExpansionId = 1;
       this.disposables = [];
       this.dragCounter = 0;
       this.contextFetchTimeout = null;
+      this.inlineCount = null; // { text, tokenizer, tokens, estimated } from the worker's tokenizer
+      this.inlineCountTimeout = null;
+      this.budgetWidget = null;
+      this.overBudget = false;
       this.scrollTopBeforePaste = 0;
 
       this.codeLensChange = createEventEmitter();
       this.inlayHintsChange = createEventEmitter();
+      this.events = new Map(
+        EVENT_TYPES.map((type) => [type, createEventEmitter()])
+      );
 
       this.onStatus = options.onStatus || (() => {});
       this.onSubmit = options.onSubmit || null;
@@ -114,46 +933,66 @@
           inlayHints: { enabled: "on", fontSize: 12 },
           codeLens: false,
           quickSuggestions: false,
-          suggestOnTriggerCharacters: options.suggestions?.length > 0
+          suggestOnTriggerCharacters: true
         },
         options.editorOptions
       );
 
       this.editor = monaco.editor.create(this.element, editorOpts);
 
-      // Register the expand-url command (global, idempotent)
+      // Register the commands (global, idempotent); their first argument is the instance ID
       if (!ContextAreaInstance._commandRegistered) {
         ContextAreaInstance._commandRegistered = true;
+        const route =
+          (method) =>
+          (_accessor, instanceId, ...args) => {
+            const instance = ContextAreaInstance._instances.get(instanceId);
+            if (instance) instance[method](...args);
+          };
         monaco.editor.addCommand({
           id: "expandUrl",
-          run: (_accessor, url, range) => {
-            if (ContextAreaInstance._active) {
-              ContextAreaInstance._active._handleExpandUrl(url, range);
-            }
-          }
+          run: route("_handleExpandUrl")
+        });
+        monaco.editor.addCommand({
+          id: "contextarea.mention",
+          run: route("_handleMention")
+        });
+        monaco.editor.addCommand({
+          id: "contextarea.moreSuggestions",
+          run: route("_moreSuggestions")
+        });
+        monaco.editor.addCommand({
+          id: "contextarea.runCommand",
+          run: route("_runCommand")
+        });
+        monaco.editor.addCommand({
+          id: "contextarea.collapseExpansion",
+          run: route("_collapseExpansion")
+        });
+        monaco.editor.addCommand({
+          id: "contextarea.refreshExpansion",
+          run: route("_refreshExpansion")
         });
       }
-      ContextAreaInstance._active = this;
-
-      this.editor.onDidFocusEditorText(() => {
-        ContextAreaInstance._active = this;
-      });
+      ContextAreaInstance._instances.set(this.id, this);
 
       this._setupKeybindings();
       this._registerProviders();
       this._setupPasteHandler();
       this._setupDragAndDrop();
+      this._setupCommands(options);
+      if (this.config.persistKey) this._setupPersistence(options);
 
-      if (this.suggestions.length) {
+      if (this.suggestionSource || this.mcpServers.size) {
         this._setupSuggestions();
       }
 
       this.editor.onDidChangeModelContent(() => {
         this._updateUrlDecorations();
-        if (this.suggestions.length) this._updateMentionDecorations();
+        this._updateMentionDecorations();
       });
       this._updateUrlDecorations();
-      if (this.suggestions.length) this._updateMentionDecorations();
+      this._updateMentionDecorations();
       this.editor.focus();
     }
 
@@ -167,10 +1006,17 @@
         id: "contextarea.submit",
         label: "Submit",
         keybindings: [monaco.KeyMod.Shift | monaco.KeyCode.Enter],
-        run() {
+        async run() {
           if (self.onSubmit) {
             const value = self.editor.getValue();
-            self.onSubmit(value, self);
+            const totals = self.getTokenTotals();
+            self.onSubmit(value, self, totals, await self.getContext());
+          }
+          if (!self.config.persistKey) return;
+          if (self.config.persistOnSubmit === "snapshot") {
+            await self.saveRevision("Submitted");
+          } else if (self.config.persistOnSubmit === "clear") {
+            await self.clearDraft();
           }
         }
       });
@@ -184,24 +1030,14 @@
       const lines = text.split("\n");
       const decorations = [];
       const urlsInText = new Map();
+      const mcpRe = this._mcpReferenceRegex();
 
       lines.forEach((line, i) => {
         const mdLinkRanges = [];
         let m;
 
-        // 1. Markdown links: [text](url)
-        const mdRe = new RegExp(MD_LINK_REGEX.source, "g");
-        while ((m = mdRe.exec(line)) !== null) {
-          const url = m[2];
-          const fullStart = m.index;
-          const fullEnd = m.index + m[0].length;
-          mdLinkRanges.push({ start: fullStart, end: fullEnd });
-          const range = new monaco.Range(
-            i + 1,
-            fullStart + 1,
-            i + 1,
-            fullEnd + 1
-          );
+        const track = (url, start, end) => {
+          const range = new monaco.Range(i + 1, start + 1, i + 1, end + 1);
           if (!urlsInText.has(url)) urlsInText.set(url, []);
           urlsInText.get(url).push({ range, lineIndex: i + 1 });
           const cached = this.contextCache.get(url);
@@ -214,36 +1050,40 @@
                 : "url-decoration"
             }
           });
+        };
+
+        // 1. Markdown links: [text](url)
+        const mdRe = new RegExp(MD_LINK_REGEX.source, "g");
+        while ((m = mdRe.exec(line)) !== null) {
+          const fullStart = m.index;
+          const fullEnd = m.index + m[0].length;
+          mdLinkRanges.push({ start: fullStart, end: fullEnd });
+          track(m[2], fullStart, fullEnd);
         }
 
         // 2. Bare URLs (skip those already inside markdown links)
         const re = new RegExp(URL_REGEX.source, "g");
         while ((m = re.exec(line)) !== null) {
           const matchStart = m.index;
-          const matchEnd = m.index + m[0].length;
+          // The bare match may run past the link's closing paren, so only its start is checked
           if (
-            mdLinkRanges.some((r) => matchStart >= r.start && matchEnd <= r.end)
+            mdLinkRanges.some(
+              (r) => matchStart >= r.start && matchStart < r.end
+            )
           )
             continue;
-          const url = m[0].replace(/[)\].,;:!?'"]+$/, "");
-          const range = new monaco.Range(
-            i + 1,
-            m.index + 1,
-            i + 1,
-            m.index + 1 + url.length
-          );
-          if (!urlsInText.has(url)) urlsInText.set(url, []);
-          urlsInText.get(url).push({ range, lineIndex: i + 1 });
-          const cached = this.contextCache.get(url);
-          const isError = cached && cached.error;
-          decorations.push({
-            range,
-            options: {
-              inlineClassName: isError
-                ? "url-decoration-error"
-                : "url-decoration"
-            }
-          });
+          const url = trimUrl(m[0]);
+          track(url, matchStart, matchStart + url.length);
+        }
+
+        // 3. MCP references: @server/<resource URI> or @server/prompt:<name>
+        if (mcpRe) {
+          mcpRe.lastIndex = 0;
+          while ((m = mcpRe.exec(line)) !== null) {
+            const ref = trimUrl(m[0]);
+            if (ref.length > m[1].length + 2)
+              track(ref, m.index, m.index + ref.length);
+          }
         }
       });
 
@@ -251,30 +1091,274 @@
         this.urlDecorations,
         decorations
       );
-      this.currentUrlsInText = urlsInText;
+      // In order of first appearance (links were collected pass by pass)
+      this.currentUrlsInText = new Map(
+        [...urlsInText].sort(([, a], [, b]) =>
+          monaco.Range.compareRangesUsingStarts(a[0].range, b[0].range)
+        )
+      );
 
       this.codeLensChange.fire();
       this.inlayHintsChange.fire();
+      this._updateBudget();
+      this._debouncedCountInline();
       this._debouncedFetchContexts(urlsInText);
     }
 
+    // ── token budget ────────────────────────────────────────────────
+
+    /**
+     * Token totals for the whole prompt: the inline text plus each referenced URL once, in
+     * order of first appearance, as /compile would assemble it. The inline text is counted by
+     * the worker; until that count arrives it is estimated, and `inlineEstimated` is true.
+     * `pending` counts references still loading; failed ones count as 0. Each entry of
+     * `references` is `{ url, tokens, status }`, status being `counted`, `over` (does not fit
+     * in the budget after those before it), `pending` or `failed`.
+     */
+    getTokenTotals() {
+      const budget = this.config.tokenBudget;
+      const text = this.editor.getValue();
+      const counted =
+        this.inlineCount?.text === text &&
+        this.inlineCount.tokenizer === this.config.tokenizer;
+      const inlineTokens = counted
+        ? this.inlineCount.tokens
+        : estimateTokens(text);
+      let totalTokens = inlineTokens;
+      let pending = 0;
+      const references = [];
+      for (const url of this.currentUrlsInText.keys()) {
+        const data = this.contextCache.get(url);
+        if (!data) {
+          pending++;
+          references.push({ url, tokens: null, status: "pending" });
+        } else if (data.error) {
+          references.push({ url, tokens: 0, status: "failed" });
+        } else {
+          const tokens = data.tokens || 0;
+          totalTokens += tokens;
+          const fits = budget == null || totalTokens <= budget;
+          references.push({ url, tokens, status: fits ? "counted" : "over" });
+        }
+      }
+      return {
+        inlineTokens,
+        inlineEstimated: !counted || this.inlineCount.estimated,
+        referenceTokens: totalTokens - inlineTokens,
+        totalTokens,
+        budget,
+        remaining: budget == null ? null : budget - totalTokens,
+        overBudget: budget != null && totalTokens > budget,
+        pending,
+        references
+      };
+    }
+
+    /** Have the worker count the inline text once typing pauses (only with a tokenBudget, which shows it). */
+    _debouncedCountInline() {
+      clearTimeout(this.inlineCountTimeout);
+      const text = this.editor.getValue();
+      const tokenizer = this.config.tokenizer;
+      if (this.config.tokenBudget == null) return;
+      if (
+        this.inlineCount?.text === text &&
+        this.inlineCount.tokenizer === tokenizer
+      )
+        return;
+      const delay = Math.max(
+        this.config.contextDebounce,
+        this.rateLimitedUntil - Date.now()
+      );
+      this.inlineCountTimeout = setTimeout(async () => {
+        try {
+          const { sent, withheld } = this._countableText();
+          const r = await fetch(this.config.tokensApiUrl, {
+            method: "POST",
+            headers: this._requestHeaders({
+              "Content-Type": "application/json"
+            }),
+            body: JSON.stringify({ text: sent, ...this._tokenizerParams() })
+          });
+          if (r.status === 429) {
+            this.rateLimitedUntil = Date.now() + retryAfterMs(r);
+          }
+          if (!r.ok) return;
+          const { tokens } = await r.json();
+          this.inlineCount = {
+            text,
+            tokenizer,
+            tokens: tokens + (withheld ? estimateTokens(withheld) : 0),
+            estimated: Boolean(withheld)
+          };
+          this._updateBudget();
+        } catch {
+          // The worker is unreachable: the estimate stays
+        }
+      }, delay);
+    }
+
+    /**
+     * The inline text as the worker may see it: `{ sent, withheld }`. Regions expanded from
+     * encrypted pastes and the `#key=` fragments of their links are withheld (and estimated
+     * here instead), so the worker never gets a key or decrypted content.
+     */
+    _countableText() {
+      const model = this.editor.getModel();
+      const text = model.getValue();
+      // Offsets of the encrypted regions, nested and overlapping ones merged
+      const cuts = [];
+      for (const { url, range } of this._liveExpansions()) {
+        if (!KEY_FRAGMENT_RE.test(url)) continue;
+        const start = model.getOffsetAt(range.getStartPosition());
+        const end = model.getOffsetAt(range.getEndPosition());
+        const last = cuts[cuts.length - 1];
+        if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+        else cuts.push([start, end]);
+      }
+      let sent = "";
+      let withheld = "";
+      let at = 0;
+      for (const [start, end] of cuts) {
+        sent += text.slice(at, start);
+        withheld += text.slice(start, end);
+        at = end;
+      }
+      sent += text.slice(at);
+      sent = sent.replace(new RegExp(KEY_FRAGMENT_RE.source, "g"), (key) => {
+        withheld += key;
+        return "";
+      });
+      return { sent, withheld };
+    }
+
+    /** Refresh the budget widget and the warnings on references that do not fit. */
+    _updateBudget() {
+      const totals = this.getTokenTotals();
+      const model = this.editor.getModel();
+      if (totals.budget == null) {
+        if (this.budgetWidget) {
+          this.editor.removeOverlayWidget(this.budgetWidget);
+          this.budgetWidget = null;
+        }
+        monaco.editor.setModelMarkers(model, "contextarea.budget", []);
+        this.overBudget = false;
+        return;
+      }
+
+      if (!this.budgetWidget) {
+        const node = document.createElement("div");
+        node.className = "ca-budget";
+        node.innerHTML =
+          '<div class="ca-budget-label"></div><div class="ca-budget-bar"><div></div></div>';
+        this.budgetWidget = {
+          getId: () => "contextarea.budget",
+          getDomNode: () => node,
+          getPosition: () => ({
+            preference:
+              monaco.editor.OverlayWidgetPositionPreference.BOTTOM_RIGHT_CORNER
+          })
+        };
+        this.editor.addOverlayWidget(this.budgetWidget);
+      }
+
+      const { totalTokens, budget, remaining, pending } = totals;
+      const approx = totals.inlineEstimated ? "\u2248" : "";
+      const fmt = (n) => n.toLocaleString();
+      const node = this.budgetWidget.getDomNode();
+      node.classList.toggle("over", totals.overBudget);
+      node.classList.toggle(
+        "near",
+        !totals.overBudget && totalTokens > budget * 0.9
+      );
+      node.firstChild.textContent =
+        `${approx}${fmt(totalTokens)} / ${fmt(budget)} tokens \u2022 ` +
+        (remaining < 0 ? `${fmt(-remaining)} over` : `${fmt(remaining)} left`) +
+        (pending ? ` (${pending} loading)` : "");
+      node.title = `Text ${approx}${fmt(totals.inlineTokens)} + references ${fmt(totals.referenceTokens)}`;
+      node.lastChild.firstChild.style.width = `${Math.min(100, (totalTokens / budget) * 100)}%`;
+
+      const markers = [];
+      for (const { url, tokens, status } of totals.references) {
+        if (status !== "over") continue;
+        for (const { range } of this.currentUrlsInText.get(url)) {
+          markers.push({
+            severity: monaco.MarkerSeverity.Warning,
+            message: `Over the token budget: this reference (${fmt(tokens)} tokens) does not fit in ${fmt(budget)}`,
+            startLineNumber: range.startLineNumber,
+            startColumn: range.startColumn,
+            endLineNumber: range.endLineNumber,
+            endColumn: range.endColumn
+          });
+        }
+      }
+      monaco.editor.setModelMarkers(model, "contextarea.budget", markers);
+
+      if (totals.overBudget && !this.overBudget) {
+        this._emit("budget:exceeded", totals);
+      }
+      this.overBudget = totals.overBudget;
+    }
+
     // ── context fetching ────────────────────────────────────────────
 
-    _fetchContext(url) {
-      if (this.contextCache.has(url))
+    /** Context for `url`, from the cache unless `fresh` (which also bypasses the worker's cache). */
+    _fetchContext(url, { fresh = false } = {}) {
+      if (!fresh && this._hasContext(url))
         return Promise.resolve(this.contextCache.get(url));
       if (this.pendingContextFetches.has(url))
         return this.pendingContextFetches.get(url);
 
       const p = (async () => {
         try {
-          const r = await fetch(
-            `${this.config.contextApiUrl}?url=${encodeURIComponent(url)}`
-          );
-          if (!r.ok) throw new Error(r.status);
-          const data = await r.json();
-          this.contextCache.set(url, data);
+          // Looking up a burn-after-read paste would use up its one read before the link is shared
+          if (this._isBurnPaste(url)) {
+            const data = {
+              error:
+                "Burn-after-read paste: it is not read here, so it can still be opened once",
+              code: "burn_after_read"
+            };
+            this._storeContext(url, data);
+            return data;
+          }
+          // Encrypted pastes are read here: their links must never be sent to /context
+          if (KEY_FRAGMENT_RE.test(url)) {
+            const data = await this._fetchEncryptedContext(url);
+            this._storeContext(url, data);
+            return data;
+          }
+          // So are MCP references, which only the browser can reach
+          if (url.startsWith("@")) {
+            const data = await this._fetchMcpContext(url);
+            this._storeContext(url, data);
+            return data;
+          }
+          if (Date.now() < this.rateLimitedUntil) {
+            const data = {
+              error: "Rate limited: waiting before the next lookup",
+              code: "rate_limited"
+            };
+            this._storeContext(url, data, false);
+            return data;
+          }
+          const r = await fetch(this._contextRequestUrl(url, fresh), {
+            headers: this._requestHeaders()
+          });
+          if (r.status === 429) {
+            this.rateLimitedUntil = Date.now() + retryAfterMs(r);
+          }
+          // Rejections carry a JSON `{ error, code }` body; keep them so the URL shows as an error
+          const data = await r.json().catch(() => null);
+          if (!data || (!r.ok && !data.error)) throw new Error(r.status);
+          // Rate limiting is temporary: show it, but ask again once `Retry-After` has passed
+          this._storeContext(url, data, r.status !== 429);
           return data;
+        } catch (err) {
+          this._emit("context:error", {
+            url,
+            error: err.message,
+            code: "fetch_failed"
+          });
+          throw err;
         } finally {
           this.pendingContextFetches.delete(url);
         }
@@ -284,34 +1368,346 @@
       return p;
     }
 
+    /** Whether `url` points into a burn-after-read paste uploaded here (one of its bundle files included). */
+    _isBurnPaste(url) {
+      return this.burnPastes.has(url.split("#")[0].replace(/\/files\/.*$/, ""));
+    }
+
+    /** Regex for MCP references to the configured servers (`m[1]` being the server); null without servers. */
+    _mcpReferenceRegex() {
+      const names = [...this.mcpServers.keys()]
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp);
+      if (!names.length) return null;
+      return new RegExp(`(?<![\\w@/])@(${names.join("|")})/\\S+`, "g");
+    }
+
+    /**
+     * Context for an MCP reference (`@server/<uri>` or `@server/prompt:<name>?args`), in the
+     * shape /context returns. Token counts are estimated, as for encrypted pastes.
+     */
+    async _fetchMcpContext(ref) {
+      const slash = ref.indexOf("/");
+      const server = this.mcpServers.get(ref.slice(1, slash));
+      const target = ref.slice(slash + 1);
+      if (!server)
+        return { error: "Unknown MCP server", code: "mcp_unknown_server" };
+
+      try {
+        if (target.startsWith("prompt:")) {
+          const [name, query = ""] = target.slice(7).split(/\?(.*)/s);
+          const result = await mcpCall(server, "prompts/get", {
+            name,
+            arguments: Object.fromEntries(new URLSearchParams(query))
+          });
+          const text = (result.messages || [])
+            .map((m) => `${m.role}: ${mcpContentText(m.content)}`)
+            .join("\n\n");
+          return {
+            title: name,
+            type: "prompt",
+            tokens: estimateTokens(text),
+            tokensEstimated: true,
+            description:
+              result.description || `Prompt from MCP server ${server.name}`,
+            content: text,
+            resolver: `mcp: ${server.name}`
+          };
+        }
+
+        const result = await mcpCall(server, "resources/read", { uri: target });
+        const contents = result.contents || [];
+        const text = contents
+          .filter((c) => typeof c.text === "string")
+          .map((c) => c.text)
+          .join("\n\n");
+        const listed = server.resources?.get(target);
+        const mimeType = contents[0]?.mimeType || listed?.mimeType || "";
+        return {
+          title: listed?.title || listed?.name || target,
+          type: /json/.test(mimeType) ? "json" : text ? "text" : "binary",
+          tokens: estimateTokens(text),
+          tokensEstimated: true,
+          description:
+            listed?.description || `Resource from MCP server ${server.name}`,
+          content: text,
+          extraction: text ? undefined : "none",
+          resolver: `mcp: ${server.name}`
+        };
+      } catch (err) {
+        return {
+          error: `MCP server ${server.name}: ${err.message}`,
+          code: err.code || "mcp_failed"
+        };
+      }
+    }
+
+    /** Whether `url` has a cached result that is not a failure due to be looked up again. */
+    _hasContext(url) {
+      return (
+        this.contextCache.has(url) &&
+        !(this.contextRetryAt.get(url) <= Date.now())
+      );
+    }
+
+    /**
+     * Keep a /context result (unless `cache` is false) and announce it as `context:resolved` or `context:error`.
+     * Failures other than lasting rejections are kept for `ERROR_RETRY_MS` only.
+     */
+    _storeContext(url, data, cache = true) {
+      if (cache) {
+        this.contextCache.set(url, data);
+        if (data.error && !LASTING_ERROR_RE.test(data.code || "")) {
+          this.contextRetryAt.set(url, Date.now() + ERROR_RETRY_MS);
+        } else {
+          this.contextRetryAt.delete(url);
+        }
+      }
+      if (data.error) {
+        this._emit("context:error", {
+          url,
+          error: data.error,
+          code: data.code || null
+        });
+        return;
+      }
+      this._emit("context:resolved", {
+        url,
+        title: data.title || null,
+        type: data.type || null,
+        tokens: data.tokens ?? null,
+        tokensEstimated: !!data.tokensEstimated,
+        encoding: data.encoding || null,
+        resolver: data.resolver || null,
+        encrypted: !!data.encrypted
+      });
+    }
+
+    /**
+     * Context for an encrypted paste, computed locally: the server only has ciphertext.
+     * Token counts are estimated at about 4 characters per token. A `&L10-L20` after the
+     * key selects lines, like the `#L10-L20` selector does for other links. Burn-after-read
+     * pastes are left unread (`burn_after_read`) unless `consume` is set.
+     */
+    async _fetchEncryptedContext(url, { consume = false } = {}) {
+      const [base, fragment] = url.split("#");
+      // A burn-after-read paste has one read: it is used only when the user expands the link
+      if (!consume) {
+        const meta = await fetch(`${base.split("?")[0]}/meta`, {
+          headers: this._requestHeaders()
+        });
+        if (!meta.ok) {
+          return meta.status === 404
+            ? {
+                error: "Paste not found (expired or deleted)",
+                code: "not_found"
+              }
+            : {
+                error: `Paste lookup failed (${meta.status})`,
+                code: "fetch_failed"
+              };
+        }
+        if ((await meta.json()).expiresAt === "burn") {
+          return {
+            error:
+              "Burn-after-read paste: expand it to read it here (it can be read only once)",
+            code: "burn_after_read"
+          };
+        }
+      }
+      const r = await fetch(`${base}${base.includes("?") ? "&" : "?"}raw`, {
+        headers: this._requestHeaders()
+      });
+      if (!r.ok) {
+        return r.status === 404
+          ? { error: "Paste not found (expired or deleted)", code: "not_found" }
+          : { error: `Paste fetch failed (${r.status})`, code: "fetch_failed" };
+      }
+      let paste;
+      try {
+        paste = await decryptPaste(
+          await r.arrayBuffer(),
+          url.match(KEY_FRAGMENT_RE)[1]
+        );
+      } catch (err) {
+        return {
+          error: `Cannot decrypt: ${err.message}`,
+          code: "decryption_failed"
+        };
+      }
+
+      const { header, content } = paste;
+      const contentType = header.contentType || "application/octet-stream";
+      const textual = /^text\/|json|xml|javascript/.test(contentType);
+      let text = textual ? new TextDecoder().decode(content) : "";
+      let selection = null;
+      const lines = fragment.match(FRAGMENT_LINES_RE);
+      if (text && lines) {
+        const all = text.split("\n");
+        const start = Number(lines[1]);
+        const end = Math.min(Number(lines[2] || lines[1]), all.length);
+        text = all.slice(start - 1, end).join("\n");
+        selection = { kind: "lines", start, end, totalLines: all.length };
+      }
+      return {
+        title: header.fileName || "Encrypted paste",
+        type: textual
+          ? contentType.includes("json")
+            ? "json"
+            : "text"
+          : contentType.split("/")[1] || "binary",
+        tokens: estimateTokens(text),
+        tokensEstimated: true,
+        description: textual
+          ? "End-to-end encrypted, decrypted in the browser"
+          : "End-to-end encrypted binary file: no text available in the browser",
+        content: text,
+        extraction: textual ? "text" : "none",
+        selection,
+        encrypted: true
+      };
+    }
+
+    /** Headers for paste and context API requests: the configured `headers`, the API key, then `extra`. */
+    _requestHeaders(extra = {}) {
+      const headers = { ...this.config.headers };
+      if (this.config.apiKey) headers["X-API-Key"] = this.config.apiKey;
+      return { ...headers, ...extra };
+    }
+
+    /** `{ model }` or `{ encoding }` for the configured tokenizer (empty for the server default). */
+    _tokenizerParams() {
+      const tokenizer = this.config.tokenizer;
+      if (!tokenizer) return {};
+      // Encoding names look like "cl100k_base"; anything else is a model name
+      return /_base$/.test(tokenizer)
+        ? { encoding: tokenizer }
+        : { model: tokenizer };
+    }
+
+    _contextRequestUrl(url, fresh = false) {
+      const params = new URLSearchParams({ url, ...this._tokenizerParams() });
+      if (fresh) params.set("fresh", "1");
+      return `${this.config.contextApiUrl}?${params}`;
+    }
+
+    /**
+     * Resolve several URLs with one POST per BATCH_SIZE URLs. Each URL gets its own pending
+     * entry; if the batch request fails, the affected URLs fall back to single GETs, except
+     * when it was rate limited: then they all show the 429 until `Retry-After` has passed.
+     */
+    _fetchContextBatch(urls) {
+      const promises = [];
+      for (let i = 0; i < urls.length; i += BATCH_SIZE) {
+        const group = urls.slice(i, i + BATCH_SIZE);
+        const batch = (async () => {
+          const r = await fetch(this.config.contextApiUrl, {
+            method: "POST",
+            headers: this._requestHeaders({
+              "Content-Type": "application/json"
+            }),
+            body: JSON.stringify({ urls: group, ...this._tokenizerParams() })
+          });
+          if (r.status === 429) {
+            this.rateLimitedUntil = Date.now() + retryAfterMs(r);
+            const body = await r.json().catch(() => null);
+            const data = {
+              error: body?.error || "Rate limited",
+              code: "rate_limited"
+            };
+            return Object.fromEntries(group.map((url) => [url, data]));
+          }
+          if (!r.ok) throw new Error(r.status);
+          return (await r.json()).results || {};
+        })();
+
+        for (const url of group) {
+          const p = batch
+            .then(
+              (results) => {
+                const data = results[url];
+                if (!data) throw new Error("Missing from batch response");
+                this._storeContext(url, data, data.code !== "rate_limited");
+                return data;
+              },
+              () => {
+                // Batch route unavailable: hand over to a single GET
+                this.pendingContextFetches.delete(url);
+                return this._fetchContext(url);
+              }
+            )
+            .finally(() => {
+              if (this.pendingContextFetches.get(url) === p)
+                this.pendingContextFetches.delete(url);
+            });
+          this.pendingContextFetches.set(url, p);
+          promises.push(p.catch(() => null));
+        }
+      }
+      return Promise.all(promises);
+    }
+
     _debouncedFetchContexts(urlsInText) {
       clearTimeout(this.contextFetchTimeout);
+      // After a 429, nothing is asked for again before its `Retry-After` has passed
+      const delay = Math.max(
+        this.config.contextDebounce,
+        this.rateLimitedUntil - Date.now()
+      );
       this.contextFetchTimeout = setTimeout(async () => {
-        const promises = [];
-        for (const url of urlsInText.keys()) {
-          if (
-            !this.contextCache.has(url) &&
-            !this.pendingContextFetches.has(url)
-          ) {
-            promises.push(this._fetchContext(url).catch(() => null));
-          }
-        }
-        if (promises.length) {
-          await Promise.all(promises);
+        if (await this._fetchMissingContexts([...urlsInText.keys()])) {
           this._updateUrlDecorations();
         }
-      }, this.config.contextDebounce);
+      }, delay);
+    }
+
+    /** Fetch context for those of `urls` neither cached nor loading. Resolves to whether there were any. */
+    async _fetchMissingContexts(urls) {
+      const missing = urls.filter(
+        (url) => !this._hasContext(url) && !this.pendingContextFetches.has(url)
+      );
+      if (!missing.length) return false;
+      // Encrypted pastes, MCP references and our own burn-after-read pastes are handled in the browser, one by one
+      const isLocal = (url) =>
+        KEY_FRAGMENT_RE.test(url) ||
+        url.startsWith("@") ||
+        this._isBurnPaste(url);
+      const local = missing.filter(isLocal);
+      const remote =
+        Date.now() < this.rateLimitedUntil
+          ? []
+          : missing.filter((url) => !isLocal(url));
+      if (!local.length && !remote.length) return false;
+      await Promise.all([
+        remote.length > 1
+          ? this._fetchContextBatch(remote)
+          : remote.length && this._fetchContext(remote[0]).catch(() => null),
+        ...local.map((url) => this._fetchContext(url).catch(() => null))
+      ]);
+      return true;
     }
 
     // ── Monaco providers (registered once) ─────────────────────────
 
+    /** Whether `model` is this instance's: providers are registered for every language, so each one checks. */
+    _ownsModel(model) {
+      return model === this.editor.getModel();
+    }
+
+    /** Markdown link target that expands `url` at `range` in this instance. */
+    _expandLink(url, range) {
+      const args = encodeURIComponent(JSON.stringify([this.id, url, range]));
+      return `command:expandUrl?${args}`;
+    }
+
     _registerProviders() {
       const self = this;
 
       // Hover
       this.disposables.push(
-        monaco.languages.registerHoverProvider("markdown", {
+        monaco.languages.registerHoverProvider("*", {
           provideHover(model, position) {
+            if (!self._ownsModel(model)) return null;
             for (const [url, positions] of self.currentUrlsInText.entries()) {
               for (const { range } of positions) {
                 if (!range.containsPosition(position)) continue;
@@ -319,9 +1715,7 @@
                 if (!data && self.pendingContextFetches.has(url)) {
                   return {
                     range,
-                    contents: [
-                      { value: "\u23f3 Loading context...", isTrusted: true }
-                    ]
+                    contents: [{ value: "\u23f3 Loading context..." }]
                   };
                 }
                 if (!data) return null;
@@ -329,19 +1723,40 @@
                   return {
                     range,
                     contents: [
-                      { value: `**Error:** ${data.error}`, isTrusted: true }
+                      {
+                        value: `**Error:** ${escapeMarkdown(data.error)}${data.code ? `\n\n\`${data.code}\`` : ""}`
+                      }
                     ]
                   };
                 }
-                let msg = `**${data.title || "Untitled"}**\n\n`;
-                if (data.type) msg += `Type: ${data.type}\n`;
-                if (data.tokens) msg += `Tokens: ${data.tokens}\n`;
-                if (data.description) msg += `\n${data.description}\n`;
-                const args = encodeURIComponent(JSON.stringify([url, range]));
-                msg += `\n[\ud83d\udd0d Expand](command:expandUrl?${args})`;
+                // Title, type and description come from the page: escaped, and the only command is expanding
+                let msg = `**${escapeMarkdown(data.title || "Untitled")}**\n\n`;
+                if (data.type) msg += `Type: ${escapeMarkdown(data.type)}\n`;
+                if (data.resolver)
+                  msg += `Resolved: ${escapeMarkdown(data.resolver)}\n`;
+                const extraction = describeExtraction(data);
+                if (extraction) msg += `${extraction}\n`;
+                if (data.selection)
+                  msg += `${describeSelection(data.selection)}\n`;
+                if (data.tokens)
+                  msg += data.tokensEstimated
+                    ? `Tokens: \u2248${data.tokens} (estimated)\n`
+                    : `Tokens: ${data.tokens}${data.encoding ? ` (${data.encoding})` : ""}\n`;
+                if (data.description)
+                  msg += `\n${escapeMarkdown(data.description)}\n`;
+                if (data.bundle)
+                  msg += describeBundle(url, data.bundle, (fileUrl) =>
+                    self._expandLink(fileUrl, range)
+                  );
+                msg += `\n[\ud83d\udd0d ${data.bundle ? "Expand all files" : "Expand"}](${self._expandLink(url, range)})`;
                 return {
                   range,
-                  contents: [{ value: msg, isTrusted: true, supportHtml: true }]
+                  contents: [
+                    {
+                      value: msg,
+                      isTrusted: { enabledCommands: ["expandUrl"] }
+                    }
+                  ]
                 };
               }
             }
@@ -352,10 +1767,11 @@
 
       // Inlay hints
       this.disposables.push(
-        monaco.languages.registerInlayHintsProvider("markdown", {
+        monaco.languages.registerInlayHintsProvider("*", {
           onDidChangeInlayHints: self.inlayHintsChange.event,
           provideInlayHints(model, range) {
             const hints = [];
+            if (!self._ownsModel(model)) return { hints, dispose() {} };
             for (const [url, positions] of self.currentUrlsInText.entries()) {
               const data = self.contextCache.get(url);
               const loading = self.pendingContextFetches.has(url);
@@ -369,7 +1785,8 @@
                 if (loading) label = "\u23f3 loading";
                 else if (data && data.error) label = `\u26a0 ${data.error}`;
                 else if (data) {
-                  if (data.tokens) label += `${data.tokens} tokens`;
+                  if (data.tokens)
+                    label += `${data.tokensEstimated ? "\u2248" : ""}${data.tokens} tokens`;
                   if (data.type)
                     label += label ? ` \u2022 ${data.type}` : data.type;
                 }
@@ -379,22 +1796,108 @@
                     position: { column: ur.endColumn, lineNumber: lineIndex },
                     label: `: ${label}`,
                     tooltip: data?.title
-                      ? { value: data.title, supportHtml: false }
+                      ? { value: escapeMarkdown(data.title) }
                       : undefined
                   });
                 }
               }
             }
+            for (const expansion of self._liveExpansions()) {
+              const start = expansion.range.getStartPosition();
+              if (
+                start.lineNumber < range.startLineNumber ||
+                start.lineNumber > range.endLineNumber
+              )
+                continue;
+              const command = (id, title) => ({
+                id,
+                title,
+                arguments: [self.id, expansion.id]
+              });
+              hints.push({
+                kind: monaco.languages.InlayHintKind.Type,
+                position: start,
+                label: [
+                  {
+                    label: `\u21b3 ${expansion.title || expansion.url}`,
+                    tooltip: expansion.url
+                  },
+                  {
+                    label: " \u21a9",
+                    tooltip: "Collapse back to link",
+                    command: command(
+                      "contextarea.collapseExpansion",
+                      "Collapse back to link"
+                    )
+                  },
+                  {
+                    label: " \u27f3",
+                    tooltip: "Refresh from source",
+                    command: command(
+                      "contextarea.refreshExpansion",
+                      "Refresh from source"
+                    )
+                  }
+                ],
+                paddingRight: true
+              });
+            }
             return { hints, dispose() {} };
           }
         })
       );
 
+      // Folding for multi-line expansions
+      this.disposables.push(
+        monaco.languages.registerFoldingRangeProvider("*", {
+          provideFoldingRanges(model) {
+            if (!self._ownsModel(model)) return null;
+            const ranges = self
+              ._liveExpansions()
+              .filter(
+                ({ range }) => range.endLineNumber > range.startLineNumber
+              )
+              .map(({ range }) => ({
+                start: range.startLineNumber,
+                end: range.endLineNumber,
+                kind: monaco.languages.FoldingRangeKind.Region
+              }));
+            // null keeps Monaco's indentation-based folding while nothing is expanded
+            return ranges.length ? ranges : null;
+          }
+        })
+      );
+
       // Code actions (quick-fix)
       this.disposables.push(
-        monaco.languages.registerCodeActionProvider("markdown", {
+        monaco.languages.registerCodeActionProvider("*", {
           provideCodeActions(model, range) {
             const actions = [];
+            if (!self._ownsModel(model)) return { actions, dispose() {} };
+            for (const expansion of self._liveExpansions()) {
+              if (!expansion.range.intersectRanges(range)) continue;
+              const source = expansion.title || expansion.url;
+              actions.push(
+                {
+                  title: `\u21a9 Collapse back to link: ${source}`,
+                  kind: "refactor",
+                  command: {
+                    id: "contextarea.collapseExpansion",
+                    title: "Collapse back to link",
+                    arguments: [self.id, expansion.id]
+                  }
+                },
+                {
+                  title: `\u27f3 Refresh from source: ${source}`,
+                  kind: "refactor",
+                  command: {
+                    id: "contextarea.refreshExpansion",
+                    title: "Refresh from source",
+                    arguments: [self.id, expansion.id]
+                  }
+                }
+              );
+            }
             for (const [url, positions] of self.currentUrlsInText.entries()) {
               for (const { range: ur } of positions) {
                 if (!ur.intersectRanges(range)) continue;
@@ -406,7 +1909,7 @@
                   command: {
                     id: "expandUrl",
                     title: "Expand URL",
-                    arguments: [url, ur]
+                    arguments: [self.id, url, ur]
                   }
                 });
               }
@@ -417,19 +1920,154 @@
       );
     }
 
-    // ── expand URL ──────────────────────────────────────────────────
+    // ── expand URL ──────────────────────────────────────────────────
+    //
+    // Expanded content is tracked as a region: a decoration over the inserted text that
+    // remembers the source URL and the link text it replaced, so the region can be folded,
+    // collapsed back to that link or refreshed from the source.
+
+    async _handleExpandUrl(url, range) {
+      this._emit("expand", { url, range, state: "start" });
+      try {
+        let data = await this._fetchContext(url);
+        // Expanding is the explicit request that may use up an encrypted burn-after-read paste
+        if (data?.code === "burn_after_read" && KEY_FRAGMENT_RE.test(url)) {
+          data = await this._fetchEncryptedContext(url, { consume: true });
+          this._storeContext(url, data);
+        }
+        if (!data || !data.content)
+          throw new Error(data?.error || "No content");
+        this._insertExpansion(range, data.content, {
+          id: this.nextExpansionId++,
+          url,
+          title: data.title || null,
+          source: this.editor.getModel().getValueInRange(range),
+          decorationId: null
+        });
+        this._emit("expand", {
+          url,
+          range,
+          state: "done",
+          tokens: data.tokens ?? null
+        });
+      } catch (err) {
+        this._emit("expand", {
+          url,
+          range,
+          state: "error",
+          ...errorDetails(err)
+        });
+      }
+    }
+
+    /** Replace `range` with `content` and track the result as `expansion`. */
+    _insertExpansion(range, content, expansion) {
+      const model = this.editor.getModel();
+      const text = content.replace(/\r\n?|\n/g, model.getEOL());
+      const startOffset = model.getOffsetAt({
+        lineNumber: range.startLineNumber,
+        column: range.startColumn
+      });
+      this.editor.executeEdits("expand-url", [
+        { range, text, forceMoveMarkers: true }
+      ]);
+      this._trackExpansion(
+        monaco.Range.fromPositions(
+          model.getPositionAt(startOffset),
+          model.getPositionAt(startOffset + text.length)
+        ),
+        expansion
+      );
+    }
+
+    /** Mark `range` as the region of `expansion`, replacing any region it had. */
+    _trackExpansion(range, expansion) {
+      const [decorationId] = this.editor.deltaDecorations(
+        expansion.decorationId ? [expansion.decorationId] : [],
+        [
+          {
+            range,
+            options: {
+              className: "ca-expansion",
+              linesDecorationsClassName: "ca-expansion-gutter",
+              stickiness:
+                monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges
+            }
+          }
+        ]
+      );
+      expansion.decorationId = decorationId;
+      this.expansions.set(expansion.id, expansion);
+      this.inlayHintsChange.fire();
+    }
+
+    /**
+     * Expansions still in the text, in document order, each with its current `range`.
+     * Ones whose text has been deleted (or the expansion undone) are forgotten.
+     */
+    _liveExpansions() {
+      const model = this.editor.getModel();
+      const live = [];
+      for (const expansion of this.expansions.values()) {
+        const range = model.getDecorationRange(expansion.decorationId);
+        if (!range || range.isEmpty()) {
+          this.editor.deltaDecorations([expansion.decorationId], []);
+          this.expansions.delete(expansion.id);
+          continue;
+        }
+        live.push({ ...expansion, range });
+      }
+      return live.sort((a, b) =>
+        monaco.Range.compareRangesUsingStarts(a.range, b.range)
+      );
+    }
+
+    _collapseExpansion(id) {
+      const expansion = this._liveExpansions().find((e) => e.id === id);
+      if (!expansion) return;
+      this.editor.executeEdits("collapse-expansion", [
+        {
+          range: expansion.range,
+          text: expansion.source,
+          forceMoveMarkers: true
+        }
+      ]);
+      this.editor.deltaDecorations([expansion.decorationId], []);
+      this.expansions.delete(id);
+      this.inlayHintsChange.fire();
+    }
 
-    async _handleExpandUrl(url, range) {
-      this.onStatus("Fetching URL content...", true);
+    async _refreshExpansion(id) {
+      const expansion = this._liveExpansions().find((e) => e.id === id);
+      if (!expansion) return;
+      const { url, range } = expansion;
+      this._emit("expand", { url, range, state: "start", refresh: true });
       try {
-        const data = await this._fetchContext(url);
-        if (!data || !data.content) throw new Error("No content");
-        this.editor.executeEdits("expand-url", [
-          { range, text: data.content, forceMoveMarkers: true }
-        ]);
-        this.onStatus(`Expanded: ${url}`);
+        const data = await this._fetchContext(url, { fresh: true });
+        if (!data || !data.content)
+          throw new Error(data?.error || "No content");
+        // The region may have moved, or been deleted, while fetching
+        const current = this._liveExpansions().find((e) => e.id === id);
+        if (!current) return;
+        this._insertExpansion(current.range, data.content, {
+          ...this.expansions.get(id),
+          title: data.title || expansion.title
+        });
+        this._emit("expand", {
+          url,
+          range: current.range,
+          state: "done",
+          refresh: true,
+          tokens: data.tokens ?? null
+        });
       } catch (err) {
-        this.onStatus(`Failed to expand: ${err.message}`);
+        this._emit("expand", {
+          url,
+          range,
+          state: "error",
+          refresh: true,
+          ...errorDetails(err)
+        });
       }
     }
 
@@ -439,11 +2077,16 @@
       let shiftPressed = false;
       const self = this;
 
-      document.addEventListener("keydown", (e) => {
-        if (e.key === "Shift") shiftPressed = true;
-      });
-      document.addEventListener("keyup", (e) => {
-        if (e.key === "Shift") shiftPressed = false;
+      const onKey = (e) => {
+        if (e.key === "Shift") shiftPressed = e.type === "keydown";
+      };
+      document.addEventListener("keydown", onKey);
+      document.addEventListener("keyup", onKey);
+      this.disposables.push({
+        dispose: () => {
+          document.removeEventListener("keydown", onKey);
+          document.removeEventListener("keyup", onKey);
+        }
       });
 
       // Capture scroll position before Monaco processes the paste
@@ -474,26 +2117,87 @@
         ]);
         self.editor.setScrollTop(self.scrollTopBeforePaste);
 
-        self.onStatus("Uploading to pastebin...", true);
+        const upload = {
+          source: "paste",
+          files: 1,
+          bytes: new Blob([pastedText]).size,
+          encrypted: self.config.encrypt,
+          bundle: false,
+          name: null
+        };
+        self._emit("upload:start", upload);
 
         try {
-          const r = await fetch(self.config.pasteApiUrl, {
-            method: "POST",
-            body: pastedText,
-            headers: { "Content-Type": "text/plain" }
-          });
-          if (!r.ok) throw new Error(r.status);
-          const url = await r.text();
+          const url = await self._uploadPaste(pastedText, "text/plain");
           self._insertTextAtCursor(url);
           self.editor.setScrollTop(self.scrollTopBeforePaste);
-          self.onStatus(`Uploaded: ${url}`);
+          self._emit("upload:done", { ...upload, url, urls: [url] });
         } catch (err) {
-          self.onStatus(`Upload failed: ${err.message}`);
+          self._emit("upload:error", { ...upload, ...errorDetails(err) });
           self._insertTextAtCursor(pastedText);
         }
       });
     }
 
+    /**
+     * POST `body` to the paste API; returns the paste URL and remembers its management token.
+     * Pass the dropped `file` to keep its name and modification time with the paste.
+     */
+    async _uploadPaste(body, contentType, file) {
+      let key = null;
+      if (this.config.encrypt) {
+        const content =
+          typeof body === "string"
+            ? new TextEncoder().encode(body)
+            : new Uint8Array(await body.arrayBuffer());
+        ({ body, key } = await encryptPaste(content, {
+          contentType,
+          fileName: file ? file.name : null,
+          lastModified: file ? file.lastModified : null
+        }));
+        contentType = "application/octet-stream";
+        file = null; // the name stays inside the ciphertext
+      }
+
+      let endpoint = this.config.pasteApiUrl;
+      if (this.config.pasteExpiry) {
+        endpoint +=
+          (endpoint.includes("?") ? "&" : "?") +
+          `expires=${encodeURIComponent(this.config.pasteExpiry)}`;
+      }
+      // FormData bodies set their own multipart Content-Type
+      const headers = this._requestHeaders(
+        contentType ? { "Content-Type": contentType } : {}
+      );
+      if (file) {
+        headers["X-File-Name"] = encodeURIComponent(file.name);
+        headers["X-File-Last-Modified"] = String(file.lastModified);
+      }
+      if (key) headers["X-Paste-Encrypted"] = "aes-256-gcm";
+      const r = await fetch(endpoint, { method: "POST", body, headers });
+      if (!r.ok) throw await responseError(r);
+      const url = (await r.text()) + (key ? `#key=${key}` : "");
+      const token = r.headers.get("X-Paste-Token");
+      if (token) this.pasteTokens.set(url, token);
+      if (r.headers.get("X-Paste-Expires") === "burn") {
+        this.burnPastes.add(url.split("#")[0]);
+      }
+      return url;
+    }
+
+    /**
+     * Upload several files (`{ file, path }`) as one bundle paste named `name`; the worker
+     * stores them as a zip archive with a manifest. Returns the bundle's URL.
+     */
+    async _uploadBundle(files, name) {
+      const form = new FormData();
+      for (const { file, path } of files) form.append("file", file, path);
+      const lastModified = Math.max(
+        ...files.map(({ file }) => file.lastModified)
+      );
+      return this._uploadPaste(form, null, { name, lastModified });
+    }
+
     // ── drag & drop ─────────────────────────────────────────────────
 
     _setupDragAndDrop() {
@@ -501,18 +2205,21 @@
       const overlay = document.createElement("div");
       overlay.className = "ca-drop-overlay";
       overlay.innerHTML =
-        '<div class="ca-drop-content"><div class="icon">\ud83d\udcc1</div><h2>Drop Files Here</h2><p>Files will be uploaded and inserted as links</p></div>';
+        '<div class="ca-drop-content"><div class="icon">\ud83d\udcc1</div><h2>Drop Files Here</h2><p>Files will be uploaded and inserted as links; folders and zip archives become one bundle</p></div>';
       this.element.appendChild(overlay);
 
-      ["dragenter", "dragover", "dragleave", "drop"].forEach((ev) => {
-        document.body.addEventListener(
-          ev,
-          (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-          },
-          false
-        );
+      // Keep the browser from opening files dropped next to the editor
+      const block = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+      };
+      const events = ["dragenter", "dragover", "dragleave", "drop"];
+      events.forEach((ev) => document.body.addEventListener(ev, block, false));
+      this.disposables.push({
+        dispose: () =>
+          events.forEach((ev) =>
+            document.body.removeEventListener(ev, block, false)
+          )
       });
 
       this.element.addEventListener("dragenter", () => {
@@ -528,119 +2235,361 @@
       this.element.addEventListener("drop", async (e) => {
         self.dragCounter = 0;
         overlay.classList.remove("active");
+        // Entries have to be taken before the first await: the DataTransfer is emptied afterwards
+        const entries = Array.from(e.dataTransfer.items || [])
+          .map((item) => item.webkitGetAsEntry && item.webkitGetAsEntry())
+          .filter(Boolean);
         const files = Array.from(e.dataTransfer.files);
         if (!files.length) return;
 
-        self.onStatus(`Uploading ${files.length} file(s)...`, true);
+        if (entries.some((entry) => entry.isDirectory)) {
+          await self._dropBundle(entries);
+          return;
+        }
+
+        const upload = {
+          source: "drop",
+          files: files.length,
+          bytes: files.reduce((sum, file) => sum + file.size, 0),
+          encrypted: self.config.encrypt,
+          bundle: false,
+          name: files.length === 1 ? files[0].name : null
+        };
+        self._emit("upload:start", upload);
         try {
           const urls = [];
+          const links = [];
           for (const file of files) {
             const body = file.type.startsWith("text/")
               ? await file.text()
               : await file
                   .arrayBuffer()
                   .then((b) => new Blob([b], { type: file.type }));
-            const r = await fetch(self.config.pasteApiUrl, {
-              method: "POST",
-              body,
-              headers: {
-                "Content-Type":
-                  typeof body === "string" ? "text/plain" : body.type
-              }
-            });
-            if (!r.ok) throw new Error(r.status);
-            urls.push(await r.text());
+            // Zip archives are stored as bundles, whatever type the OS reports for them
+            const contentType =
+              typeof body === "string"
+                ? "text/plain"
+                : /\.zip$/i.test(file.name)
+                  ? "application/zip"
+                  : body.type;
+            const url = await self._uploadPaste(body, contentType, file);
+            urls.push(url);
+            links.push(`[${file.name.replace(/[[\]]/g, "")}](${url})`);
           }
-          self._insertTextAtCursor(urls.join("\n") + "\n");
-          self.onStatus(`Uploaded ${files.length} file(s)`);
+          self._insertTextAtCursor(links.join("\n") + "\n");
+          self._emit("upload:done", { ...upload, url: urls[0], urls });
         } catch (err) {
-          self.onStatus(`Upload failed: ${err.message}`);
+          self._emit("upload:error", { ...upload, ...errorDetails(err) });
         }
       });
     }
 
-    // ── @suggestions ────────────────────────────────────────────────
+    /** Upload dropped folders (and any files dropped with them) as one bundle and link it. */
+    async _dropBundle(entries) {
+      const name = entries.length === 1 ? entries[0].name : "files";
+      const upload = {
+        source: "folder",
+        files: 0,
+        bytes: 0,
+        encrypted: this.config.encrypt,
+        // Bundles are zipped by the worker, which must not see the content: one paste per file instead
+        bundle: !this.config.encrypt,
+        name
+      };
+      try {
+        const files = (
+          await Promise.all(entries.map((entry) => readEntryFiles(entry, "")))
+        ).flat();
+        // A single folder's files are stored relative to it
+        if (entries.length === 1) {
+          files.forEach((f) => (f.path = f.path.slice(name.length + 1)));
+        }
+        if (!files.length) {
+          throw Object.assign(new Error("The folder is empty"), {
+            code: "empty_folder"
+          });
+        }
+        upload.files = files.length;
+        upload.bytes = files.reduce((sum, { file }) => sum + file.size, 0);
+        this._emit("upload:start", upload);
 
-    _setupSuggestions() {
+        if (!upload.bundle) {
+          const urls = [];
+          const links = [];
+          for (const { file, path } of files) {
+            const url = await this._uploadPaste(
+              file,
+              file.type || "application/octet-stream",
+              { name: path, lastModified: file.lastModified }
+            );
+            urls.push(url);
+            links.push(`[${path.replace(/[[\]]/g, "")}](${url})`);
+          }
+          this._insertTextAtCursor(links.join("\n") + "\n");
+          this._emit("upload:done", { ...upload, url: urls[0], urls });
+          return;
+        }
+
+        const url = await this._uploadBundle(files, name);
+        this._insertTextAtCursor(`[${name.replace(/[[\]]/g, "")}](${url})\n`);
+        this._emit("upload:done", { ...upload, url, urls: [url] });
+      } catch (err) {
+        this._emit("upload:error", { ...upload, ...errorDetails(err) });
+      }
+    }
+
+    // ── / commands ──────────────────────────────────────────────────
+
+    _setupCommands(options) {
       const self = this;
-      const items = this.suggestions;
+      const commands = new Map(BUILTIN_COMMANDS.map((c) => [c.name, c]));
+      for (const t of options.templates || []) {
+        commands.set(`template:${t.name}`, {
+          name: `template:${t.name}`,
+          description: t.description || t.text.split("\n")[0],
+          insertText: t.text
+        });
+      }
+      for (const c of options.commands || []) commands.set(c.name, c);
+      this.commands = commands;
+      this.selectionDecorations = [];
+
+      // Typing a command loses the selection, so /upload works on the last one
+      this.editor.onDidChangeCursorSelection(({ selection }) => {
+        if (selection.isEmpty()) return;
+        this.selectionDecorations = this.editor.deltaDecorations(
+          this.selectionDecorations,
+          [
+            {
+              range: selection,
+              options: {
+                stickiness:
+                  monaco.editor.TrackedRangeStickiness
+                    .NeverGrowsWhenTypingAtEdges
+              }
+            }
+          ]
+        );
+      });
 
-      // @ completion provider
+      // / at the start of a line lists the commands
       this.disposables.push(
-        monaco.languages.registerCompletionItemProvider("markdown", {
-          triggerCharacters: ["@"],
+        monaco.languages.registerCompletionItemProvider("*", {
+          triggerCharacters: ["/"],
           provideCompletionItems(model, position) {
-            const line = model.getLineContent(position.lineNumber);
-            const before = line.substring(0, position.column - 1);
-            const atIdx = before.lastIndexOf("@");
-            if (atIdx === -1) return { suggestions: [] };
-
+            if (!self._ownsModel(model)) return { suggestions: [] };
+            const before = model
+              .getLineContent(position.lineNumber)
+              .substring(0, position.column - 1);
+            const m = before.match(/^(\s*)\/[\w:-]*$/);
+            if (!m) return { suggestions: [] };
             const range = new monaco.Range(
               position.lineNumber,
-              atIdx + 1,
+              m[1].length + 1,
               position.lineNumber,
               position.column
             );
-
             return {
-              suggestions: items.map((s, i) => ({
-                label: { label: s.name, description: s.description },
-                kind: monaco.languages.CompletionItemKind.Module,
-                insertText: `@${s.name}`,
+              suggestions: [...self.commands.values()].map((c, i) => ({
+                label: { label: `/${c.name}`, description: c.description },
+                kind: monaco.languages.CompletionItemKind.Function,
+                insertText: "",
                 range,
-                sortText: String(i).padStart(3, "0"),
-                detail: s.description,
-                documentation: {
-                  value: `<img src="${s.icon}" width="16" height="16">&nbsp; **${s.name}**\n\n${s.description}\n\n[${s.url}](${s.url})`,
-                  supportHtml: true,
-                  isTrusted: true
-                },
-                filterText: `@${s.name}`
+                filterText: `/${c.name}`,
+                sortText: String(i).padStart(4, "0"),
+                detail: c.description,
+                command: {
+                  id: "contextarea.runCommand",
+                  title: c.name,
+                  arguments: [self.id, c.name]
+                }
               }))
             };
           }
         })
       );
+    }
 
-      // Hover on @mentions
+    /** The last non-empty selection, if its text is still there: `{ range, text }`. */
+    _lastSelection() {
+      const id = this.selectionDecorations[0];
+      const range = id && this.editor.getModel().getDecorationRange(id);
+      if (!range || range.isEmpty()) return null;
+      return { range, text: this.editor.getModel().getValueInRange(range) };
+    }
+
+    async _runCommand(name) {
+      const command = this.commands.get(name);
+      if (!command) return;
+      try {
+        const text =
+          command.insertText ??
+          (await command.run?.(this, { selection: this._lastSelection() }));
+        if (typeof text === "string" && text) this._insertTextAtCursor(text);
+        this._emit("command", { name, state: "done" });
+      } catch (err) {
+        this._emit("command", { name, state: "error", ...errorDetails(err) });
+      }
+    }
+
+    async _uploadSelection(selection) {
+      if (!selection) throw new Error("Select the text to upload first");
+      const upload = {
+        source: "command",
+        files: 1,
+        bytes: new Blob([selection.text]).size,
+        encrypted: this.config.encrypt,
+        bundle: false,
+        name: null
+      };
+      this._emit("upload:start", upload);
+      try {
+        const url = await this._uploadPaste(selection.text, "text/plain");
+        // The selection may have moved while uploading
+        const current = this._lastSelection() || selection;
+        this.editor.executeEdits("upload-selection", [
+          { range: current.range, text: url, forceMoveMarkers: true }
+        ]);
+        this._emit("upload:done", { ...upload, url, urls: [url] });
+      } catch (err) {
+        this._emit("upload:error", { ...upload, ...errorDetails(err) });
+        throw err; // so the command ends in the error state too
+      }
+    }
+
+    async _expandAll() {
+      const links = [...this.currentUrlsInText].flatMap(([url, positions]) =>
+        positions.map(({ range }) => ({ url, range }))
+      );
+      if (!links.length) throw new Error("No links to expand");
+      await Promise.all(
+        links.map(({ url }) => this._fetchContext(url).catch(() => null))
+      );
+      // From the end, so the ranges of earlier links stay valid
+      links.sort((a, b) =>
+        monaco.Range.compareRangesUsingStarts(b.range, a.range)
+      );
+      for (const { url, range } of links)
+        await this._handleExpandUrl(url, range);
+    }
+
+    _clear() {
+      // An edit rather than setValue, so it can be undone
+      this.editor.executeEdits("clear", [
+        { range: this.editor.getModel().getFullModelRange(), text: "" }
+      ]);
+    }
+
+    // ── @suggestions ────────────────────────────────────────────────
+
+    _setupSuggestions() {
+      const self = this;
+
+      // @ completion provider: asked again on every keystroke, so results follow the query
       this.disposables.push(
-        monaco.languages.registerHoverProvider("markdown", {
-          provideHover(model, position) {
+        monaco.languages.registerCompletionItemProvider("*", {
+          triggerCharacters: ["@", "/"],
+          async provideCompletionItems(model, position) {
+            if (!self._ownsModel(model)) return { suggestions: [] };
             const line = model.getLineContent(position.lineNumber);
-            const word = model.getWordAtPosition(position);
-            if (!word) return null;
-            if (line[word.startColumn - 2] !== "@") return null;
-
-            const server = items.find((s) => s.name === word.word);
-            if (!server) return null;
+            const before = line.substring(0, position.column - 1);
+            const atIdx = before.lastIndexOf("@");
+            if (atIdx === -1) return { suggestions: [] };
+            const query = before.slice(atIdx + 1);
+            if (/\s/.test(query)) return { suggestions: [] };
 
             const range = new monaco.Range(
               position.lineNumber,
-              word.startColumn - 1,
+              atIdx + 1,
               position.lineNumber,
-              word.endColumn
+              position.column
             );
-            return {
+
+            let result;
+            try {
+              result = await self._loadSuggestions(query);
+            } catch (err) {
+              self._emit("suggestions:error", { query, error: err.message });
+              return { suggestions: [], incomplete: true };
+            }
+
+            // Ranking is done already: every item keeps the typed text as its filter
+            const suggestions = result.items.map((s, i) => ({
+              label: { label: s.name, description: s.description },
+              kind: monaco.languages.CompletionItemKind.Module,
+              // An MCP server goes on to its resources and prompts
+              insertText: s.mcp ? `@${s.name}/` : `@${s.name}`,
               range,
-              contents: [
-                {
-                  value: `<img src="${server.icon}" width="16" height="16">&nbsp; **${server.name}**\n\n${server.description}\n\n[${server.url}](${server.url})`,
-                  supportHtml: true,
-                  isTrusted: true
+              sortText: String(i).padStart(4, "0"),
+              detail: s.description,
+              documentation: describeMention(s),
+              filterText: `@${query}`,
+              command: s.reference
+                ? undefined
+                : {
+                    id: "contextarea.mention",
+                    title: "Mention",
+                    arguments: [self.id, s.name]
+                  }
+            }));
+            if (result.hasMore) {
+              suggestions.push({
+                label: "\u2026 More results",
+                kind: monaco.languages.CompletionItemKind.Text,
+                insertText: `@${query}`,
+                range,
+                sortText: String(suggestions.length).padStart(4, "0"),
+                filterText: `@${query}`,
+                command: {
+                  id: "contextarea.moreSuggestions",
+                  title: "More results",
+                  arguments: [self.id]
                 }
-              ]
-            };
+              });
+            }
+            return { suggestions, incomplete: true };
+          }
+        })
+      );
+
+      // Hover on @mentions
+      this.disposables.push(
+        monaco.languages.registerHoverProvider("*", {
+          provideHover(model, position) {
+            if (!self._ownsModel(model)) return null;
+            const re = self._mentionRegex();
+            if (!re) return null;
+            const line = model.getLineContent(position.lineNumber);
+            let m;
+            while ((m = re.exec(line)) !== null) {
+              const start = m.index + 1;
+              const end = start + m[0].length;
+              if (position.column < start || position.column > end) continue;
+              return {
+                range: new monaco.Range(
+                  position.lineNumber,
+                  start,
+                  position.lineNumber,
+                  end
+                ),
+                contents: [describeMention(self.knownMentions.get(m[1]))]
+              };
+            }
+            return null;
           }
         })
       );
 
       // Patch suggest-widget icons via MutationObserver
       const patchIcons = () => {
-        const widget = document.querySelector(".suggest-widget");
+        const widget = this.element.querySelector(".suggest-widget");
         if (!widget) return;
         widget.querySelectorAll(".monaco-list-row").forEach((row) => {
           const text = row.textContent || "";
-          const server = items.find((s) => text.includes(s.name));
+          let server = null;
+          for (const s of self.knownMentions.values()) {
+            if (s.icon && text.includes(s.name)) server = s;
+          }
           const codicon = row.querySelector('[class*="codicon-symbol"]');
           if (!codicon) return;
           if (server) {
@@ -664,7 +2613,7 @@
       const suggestObs = new MutationObserver(() =>
         requestAnimationFrame(patchIcons)
       );
-      suggestObs.observe(document.body, {
+      suggestObs.observe(this.element, {
         childList: true,
         subtree: true,
         characterData: true,
@@ -676,7 +2625,7 @@
       let detailsOpened = false;
       const detailsObs = new MutationObserver(() => {
         if (detailsOpened) return;
-        const widget = document.querySelector(".suggest-widget");
+        const widget = this.element.querySelector(".suggest-widget");
         if (widget && !widget.classList.contains("hidden")) {
           detailsOpened = true;
           setTimeout(
@@ -685,7 +2634,7 @@
           );
         }
       });
-      detailsObs.observe(document.body, {
+      detailsObs.observe(this.element, {
         childList: true,
         subtree: true,
         attributes: true
@@ -693,11 +2642,102 @@
       this.disposables.push({ dispose: () => detailsObs.disconnect() });
     }
 
+    /**
+     * Suggestions for `query`, as many pages as "More results" asked for (back to one when
+     * the query changes). Every item returned becomes a known mention.
+     */
+    async _loadSuggestions(query) {
+      if (this.suggestionPages.query !== query) {
+        this.suggestionPages = { query, count: 1 };
+      }
+      const pageSize = this.config.suggestionPageSize;
+      const source = this._suggestionSourceFor(query);
+      const items = [];
+      let hasMore = false;
+      for (let page = 0; page < this.suggestionPages.count; page++) {
+        const result = await source(query, { page, pageSize });
+        items.push(...result.items);
+        hasMore = result.hasMore;
+        if (!hasMore) break;
+      }
+
+      const known = this.knownMentions.size;
+      for (const item of items) {
+        if (item?.name && !item.reference)
+          this.knownMentions.set(item.name, item);
+      }
+      if (this.knownMentions.size !== known) this._updateMentionDecorations();
+      return { items: items.filter((item) => item?.name), hasMore };
+    }
+
+    /**
+     * Where suggestions for `query` come from: after `@server/`, that MCP server's resources and
+     * prompts; otherwise the configured servers (on the first page) and then the `suggestions` option.
+     */
+    _suggestionSourceFor(query) {
+      const slash = query.indexOf("/");
+      const server = slash > 0 && this.mcpServers.get(query.slice(0, slash));
+      if (server) {
+        return async (q, { page, pageSize }) => {
+          const ranked = rankSuggestions(await mcpListing(server), q);
+          const end = (page + 1) * pageSize;
+          return {
+            items: ranked.slice(page * pageSize, end),
+            hasMore: ranked.length > end
+          };
+        };
+      }
+
+      const servers = [...this.mcpServers.keys()].map((name) =>
+        this.knownMentions.get(name)
+      );
+      return async (q, paging) => {
+        const result = this.suggestionSource
+          ? await this.suggestionSource(q, paging)
+          : { items: [], hasMore: false };
+        if (paging.page > 0 || !servers.length) return result;
+        return {
+          items: [...rankSuggestions(servers, q), ...result.items],
+          hasMore: result.hasMore
+        };
+      };
+    }
+
+    _moreSuggestions() {
+      this.suggestionPages.count++;
+      this.editor.trigger("contextarea", "editor.action.triggerSuggest", {});
+    }
+
+    /** Regex for `@name` with any known mention, longest names first; null while there are none. */
+    _mentionRegex() {
+      const names = [...this.knownMentions.keys()]
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp);
+      if (!names.length) return null;
+      // Not followed by `/`: `@server/...` is an MCP reference, decorated as such
+      return new RegExp(`@(${names.join("|")})(?![\\w/-])`, "g");
+    }
+
+    _handleMention(name) {
+      const suggestion = this.knownMentions.get(name);
+      if (!suggestion) return;
+      if (suggestion.mcp) {
+        // `@server/` was inserted: list its resources and prompts right away
+        setTimeout(() =>
+          this.editor.trigger("contextarea", "editor.action.triggerSuggest", {})
+        );
+      }
+      this._emit("mention", {
+        name,
+        url: suggestion.url,
+        description: suggestion.description
+      });
+    }
+
     _updateMentionDecorations() {
-      const names = this.suggestions.map((s) => s.name);
-      if (!names.length) return;
+      const re = this._mentionRegex();
+      if (!re) return;
 
-      const re = new RegExp(`@(${names.join("|")})\\b`, "g");
       const model = this.editor.getModel();
       const lines = model.getValue().split("\n");
       const decorations = [];
@@ -751,30 +2791,397 @@
       this.editor.focus();
     }
 
+    // ── events ──────────────────────────────────────────────────────
+
+    /** Call `handler(payload, instance)` on each `type` event (see EVENT_TYPES). Returns `{ dispose() }`. */
+    on(type, handler) {
+      const emitter = this.events.get(type);
+      if (!emitter) throw new Error(`Unknown ContextArea event: ${type}`);
+      return emitter.event((payload) => {
+        // A failing host handler must not interrupt the upload or fetch that fired the event:
+        // its error is rethrown on its own, where the page's error handling sees it
+        try {
+          handler(payload, this);
+        } catch (err) {
+          queueMicrotask(() => {
+            throw err;
+          });
+        }
+      });
+    }
+
+    _emit(type, payload) {
+      this.events.get(type).fire(payload);
+      const status = statusFor(type, payload);
+      if (status) this.onStatus(...status);
+    }
+
+    /**
+     * The document with everything the editor knows about it: `{ text, references, mentions,
+     * expansions, totals }`. Each reference (URL or MCP reference, once, in order of appearance)
+     * is `{ url, ranges, status, title, type, tokens, tokensEstimated, description, error, code }`,
+     * status being `resolved`, `error`, `pending` (loading) or `unresolved` (not asked for yet),
+     * plus `content` with `content: true`. With `wait: true`, missing and loading references are
+     * fetched first, so none is left pending.
+     */
+    async getContext({ content = false, wait = false } = {}) {
+      const urls = [...this.currentUrlsInText.keys()];
+      if (wait) {
+        const loading = urls.map((url) =>
+          this.pendingContextFetches.get(url)?.catch(() => null)
+        );
+        if (await this._fetchMissingContexts(urls))
+          this._updateUrlDecorations();
+        await Promise.all(loading);
+      }
+
+      const plain = (r) => ({
+        startLineNumber: r.startLineNumber,
+        startColumn: r.startColumn,
+        endLineNumber: r.endLineNumber,
+        endColumn: r.endColumn
+      });
+
+      const references = urls.map((url) => {
+        const ranges = this.currentUrlsInText
+          .get(url)
+          .map(({ range }) => plain(range));
+        const data = this.contextCache.get(url);
+        if (!data) {
+          const status = this.pendingContextFetches.has(url)
+            ? "pending"
+            : "unresolved";
+          return { url, ranges, status };
+        }
+        if (data.error) {
+          return {
+            url,
+            ranges,
+            status: "error",
+            error: data.error,
+            code: data.code || null
+          };
+        }
+        const reference = {
+          url,
+          ranges,
+          status: "resolved",
+          title: data.title || null,
+          type: data.type || null,
+          tokens: data.tokens ?? null,
+          tokensEstimated: !!data.tokensEstimated,
+          description: data.description || null
+        };
+        if (content) reference.content = data.content ?? null;
+        return reference;
+      });
+
+      const mentions = new Map();
+      const re = this._mentionRegex();
+      if (re) {
+        this.editor
+          .getModel()
+          .getValue()
+          .split("\n")
+          .forEach((line, i) => {
+            let m;
+            while ((m = re.exec(line)) !== null) {
+              const s = this.knownMentions.get(m[1]);
+              if (!mentions.has(s.name)) {
+                mentions.set(s.name, {
+                  name: s.name,
+                  url: s.url || null,
+                  description: s.description || null,
+                  ranges: []
+                });
+              }
+              mentions.get(s.name).ranges.push(
+                plain({
+                  startLineNumber: i + 1,
+                  startColumn: m.index + 1,
+                  endLineNumber: i + 1,
+                  endColumn: m.index + 1 + m[0].length
+                })
+              );
+            }
+          });
+      }
+
+      return {
+        text: this.editor.getValue(),
+        references,
+        mentions: [...mentions.values()],
+        expansions: this._liveExpansions().map(({ url, range, source }) => ({
+          url,
+          range: plain(range),
+          source
+        })),
+        totals: this.getTokenTotals()
+      };
+    }
+
+    // ── drafts ──────────────────────────────────────────────────────
+
+    _setupPersistence(options) {
+      this.draftTimeout = null;
+      this.draftLoaded = false;
+
+      // Throttled: the first change schedules a save, later ones ride along with it
+      this.editor.onDidChangeModelContent(() => {
+        if (!this.draftLoaded || this.draftTimeout) return;
+        this.draftTimeout = setTimeout(
+          () => this._saveDraft(),
+          this.config.persistInterval
+        );
+      });
+      const flush = () => {
+        if (this.draftTimeout) this._saveDraft();
+      };
+      const onVisibility = () => {
+        if (document.visibilityState === "hidden") flush();
+      };
+      document.addEventListener("visibilitychange", onVisibility);
+      global.addEventListener("pagehide", flush);
+      this.disposables.push({
+        dispose: () => {
+          flush();
+          document.removeEventListener("visibilitychange", onVisibility);
+          global.removeEventListener("pagehide", flush);
+        }
+      });
+
+      this._restoreDraft(options.value ?? "");
+    }
+
+    _draftKey(kind) {
+      if (!this.config.persistKey) throw new Error("persistKey is not set");
+      return `${kind}:${this.config.persistKey}`;
+    }
+
+    /** Replace the initial value with the saved draft, unless the user has already typed. */
+    async _restoreDraft(initialValue) {
+      try {
+        const draft = await (
+          await getDraftStore()
+        ).get(this._draftKey("draft"));
+        if (!draft || this.editor.getValue() !== initialValue) return;
+        if (draft.text === initialValue) return;
+        this.setValue(draft.text);
+        const model = this.editor.getModel();
+        for (const { url, title, source, start, end } of draft.expansions ||
+          []) {
+          this._trackExpansion(
+            monaco.Range.fromPositions(
+              model.getPositionAt(start),
+              model.getPositionAt(end)
+            ),
+            {
+              id: this.nextExpansionId++,
+              url,
+              title,
+              source,
+              decorationId: null
+            }
+          );
+        }
+        this._emit("draft:restored", { savedAt: draft.savedAt });
+      } catch (err) {
+        this._emit("draft:error", { action: "restore", error: err.message });
+      } finally {
+        this.draftLoaded = true;
+      }
+    }
+
+    async _saveDraft() {
+      clearTimeout(this.draftTimeout);
+      this.draftTimeout = null;
+      const model = this.editor.getModel();
+      const draft = {
+        text: model.getValue(),
+        // Offsets, so regions come back even though decorations do not survive a reload
+        expansions: this._liveExpansions().map(
+          ({ url, title, source, range }) => ({
+            url,
+            title,
+            source,
+            start: model.getOffsetAt(range.getStartPosition()),
+            end: model.getOffsetAt(range.getEndPosition())
+          })
+        ),
+        savedAt: Date.now()
+      };
+      try {
+        await (await getDraftStore()).set(this._draftKey("draft"), draft);
+      } catch (err) {
+        this._emit("draft:error", { action: "save", error: err.message });
+      }
+    }
+
+    /** Forget the saved draft (the text in the editor stays, and is saved again on the next change). */
+    async clearDraft() {
+      clearTimeout(this.draftTimeout);
+      this.draftTimeout = null;
+      await (await getDraftStore()).delete(this._draftKey("draft"));
+    }
+
+    async _revisions() {
+      return (
+        (await (await getDraftStore()).get(this._draftKey("history"))) || []
+      );
+    }
+
+    /**
+     * Save the current text as a revision, named or just timestamped. The newest
+     * `persistHistory` revisions are kept. Resolves to `{ id, name, savedAt }`.
+     */
+    async saveRevision(name = null) {
+      const revision = {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        name,
+        savedAt: Date.now(),
+        text: this.editor.getValue()
+      };
+      const history = [revision, ...(await this._revisions())].slice(
+        0,
+        this.config.persistHistory
+      );
+      await (await getDraftStore()).set(this._draftKey("history"), history);
+      return { id: revision.id, name, savedAt: revision.savedAt };
+    }
+
+    /** Saved revisions, newest first: `[{ id, name, savedAt, size, preview }]`. */
+    async listRevisions() {
+      return (await this._revisions()).map(({ text, ...revision }) => ({
+        ...revision,
+        size: text.length,
+        preview: text.slice(0, 80)
+      }));
+    }
+
+    /**
+     * Line diff from revision `id` to revision `otherId`, or to the current text by default:
+     * `[{ type: 'same' | 'removed' | 'added', text }]`.
+     */
+    async diffRevision(id, otherId = null) {
+      const revisions = await this._revisions();
+      const find = (revisionId) => {
+        const revision = revisions.find((r) => r.id === revisionId);
+        if (!revision) throw new Error(`No revision ${revisionId}`);
+        return revision.text;
+      };
+      return diffLines(
+        find(id),
+        otherId ? find(otherId) : this.editor.getValue()
+      );
+    }
+
+    /** Replace the text with revision `id`, saving the current text as a revision first. Undoable. */
+    async restoreRevision(id) {
+      const revision = (await this._revisions()).find((r) => r.id === id);
+      if (!revision) throw new Error(`No revision ${id}`);
+      await this.saveRevision("Before restore");
+      this.editor.executeEdits("restore-revision", [
+        {
+          range: this.editor.getModel().getFullModelRange(),
+          text: revision.text
+        }
+      ]);
+    }
+
+    /** Upload `body` (text or a Blob) as a paste; resolves to its URL. */
+    uploadPaste(body, contentType) {
+      return this._uploadPaste(
+        body,
+        contentType ||
+          (typeof body === "string"
+            ? "text/plain"
+            : body.type || "application/octet-stream")
+      );
+    }
+
+    /** Context for `url` (any reference in the text), in the shape /context returns. */
+    fetchContext(url, { fresh = false } = {}) {
+      return this._fetchContext(url, { fresh });
+    }
+
+    /** Delete a paste uploaded by this instance (its management token is kept in memory only). */
+    async deletePaste(url) {
+      const token = this.pasteTokens.get(url);
+      if (!token) throw new Error("No management token for this paste");
+      const r = await fetch(url, {
+        method: "DELETE",
+        headers: this._requestHeaders({ Authorization: `Bearer ${token}` })
+      });
+      if (!r.ok && r.status !== 404) throw new Error(r.status);
+      this.pasteTokens.delete(url);
+      this.contextCache.delete(url);
+      this._updateUrlDecorations();
+    }
+
     /** Update configuration at runtime. */
     setConfig(partial) {
+      const tokenizerChanged =
+        "tokenizer" in partial && partial.tokenizer !== this.config.tokenizer;
       Object.assign(this.config, partial);
+      if (tokenizerChanged) {
+        // Cached counts were computed with the old tokenizer
+        this.contextCache.clear();
+        this._updateUrlDecorations();
+      } else if ("tokenBudget" in partial) {
+        this._updateBudget();
+        this._debouncedCountInline();
+      }
     }
 
-    /** Clean up. */
-    getValue() {
-      return this.editor.getValue();
+    /**
+     * The editor's text. With `expansions: false`, expanded regions are replaced by the
+     * links they came from (nested ones go with the region containing them).
+     */
+    getValue({ expansions = true } = {}) {
+      if (expansions) return this.editor.getValue();
+      const model = this.editor.getModel();
+      const live = this._liveExpansions();
+      const outermost = live.filter(
+        (e) =>
+          !live.some(
+            (other) =>
+              other !== e &&
+              other.range.containsRange(e.range) &&
+              !e.range.equalsRange(other.range)
+          )
+      );
+      let text = model.getValue();
+      // From the end, so earlier offsets stay valid
+      for (const { range, source } of outermost.reverse()) {
+        const start = model.getOffsetAt(range.getStartPosition());
+        const end = model.getOffsetAt(range.getEndPosition());
+        text = text.slice(0, start) + source + text.slice(end);
+      }
+      return text;
     }
 
     setValue(value) {
+      this.editor.deltaDecorations(
+        [...this.expansions.values()].map((e) => e.decorationId),
+        []
+      );
+      this.expansions.clear();
       this.editor.setValue(value);
     }
 
     /** Clean up. */
     dispose() {
       clearTimeout(this.contextFetchTimeout);
+      clearTimeout(this.inlineCountTimeout);
+      ContextAreaInstance._instances.delete(this.id);
       this.disposables.forEach((d) => d.dispose());
       this.editor.dispose();
     }
   }
 
   ContextAreaInstance._commandRegistered = false;
-  ContextAreaInstance._active = null;
+  ContextAreaInstance._instances = new Map(); // ID → live instance, for routing commands
+  ContextAreaInstance._nextId = 1;
 
   // ── public API ──────────────────────────────────────────────────────
 
@@ -782,6 +3189,9 @@
     /** Create a ContextArea inside `element`. Returns instance with `.editor` and `.dispose()`. */
     create(element, options = {}) {
       return new ContextAreaInstance(element, options);
-    }
+    },
+
+    /** Decrypt the raw body of an encrypted paste with the key from its `#key=` fragment (used by the paste viewer). */
+    decryptPaste
   };
 })(window);
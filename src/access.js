@@ -0,0 +1,100 @@
+// Access control for the API routes: browser origin allowlist, optional API
+// keys, and per-key / per-IP rate limits.
+//
+// Configured through env vars and bindings:
+//   ALLOWED_ORIGINS    comma-separated origins allowed to call the API from a browser
+//                      (`https://app.example.com`, or `*` for any); the worker's own origin always is
+//   API_KEYS           comma-separated keys (set as a secret); when set, every API route except
+//                      reading a paste requires one in `X-API-Key`
+//   KEY_RATE_LIMITER   rate limit binding applied per API key
+//   IP_RATE_LIMITER    rate limit binding applied per client IP to requests without a key
+//
+// Without a limiter binding, that kind of request is not limited.
+
+import { hashToken, verifyToken } from './paste.js';
+
+// Must match the `period` of the ratelimit bindings in wrangler.json
+const RATE_LIMIT_PERIOD = 60;
+
+export class AccessError extends Error {
+	constructor(code, message, status, headers = {}) {
+		super(message);
+		this.name = 'AccessError';
+		this.code = code;
+		this.status = status;
+		this.headers = headers;
+	}
+}
+
+function parseList(value) {
+	return (value || '')
+		.split(',')
+		.map((p) => p.trim())
+		.filter(Boolean);
+}
+
+function originAllowed(origin, env, url) {
+	if (origin === url.origin) return true;
+	const allowed = parseList(env.ALLOWED_ORIGINS);
+	return allowed.includes('*') || allowed.includes(origin);
+}
+
+/** CORS headers for `request`: the origin is echoed back only when it is allowed. */
+export function corsHeadersFor(request, env, url) {
+	const headers = {
+		'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+		'Access-Control-Allow-Headers':
+			'Content-Type, If-None-Match, Authorization, X-API-Key, X-Paste-Token, X-Paste-Encrypted, X-File-Name, X-File-Last-Modified',
+		'Access-Control-Expose-Headers':
+			'ETag, Last-Modified, Age, Retry-After, X-Context-Cache, X-Paste-Token, X-Paste-Expires, X-Paste-Deduplicated',
+		Vary: 'Origin',
+	};
+	const origin = request.headers.get('Origin');
+	if (origin && originAllowed(origin, env, url)) headers['Access-Control-Allow-Origin'] = origin;
+	return headers;
+}
+
+/** The configured API key matching `key`, compared in constant time, or null. */
+async function matchApiKey(key, env) {
+	if (!key) return null;
+	const candidates = parseList(env.API_KEYS);
+	for (const candidate of candidates) {
+		if (await verifyToken(key, await hashToken(candidate))) return candidate;
+	}
+	return null;
+}
+
+async function limit(limiter, key, message) {
+	if (!limiter) return;
+	const { success } = await limiter.limit({ key });
+	if (!success) {
+		throw new AccessError('rate_limited', message, 429, { 'Retry-After': String(RATE_LIMIT_PERIOD) });
+	}
+}
+
+/**
+ * Check a request to an API route: origin, API key (unless `keyOptional`, as for reading
+ * pastes) and rate limit. Throws an AccessError when it must be refused.
+ */
+export async function checkAccess(request, env, url, { keyOptional = false } = {}) {
+	const origin = request.headers.get('Origin');
+	if (origin && !originAllowed(origin, env, url)) {
+		throw new AccessError('origin_not_allowed', `Origin is not allowed: ${origin}`, 403);
+	}
+
+	const provided = request.headers.get('X-API-Key');
+	const key = await matchApiKey(provided, env);
+	if (env.API_KEYS && !key && !keyOptional) {
+		throw provided
+			? new AccessError('invalid_api_key', 'Invalid API key', 401)
+			: new AccessError('missing_api_key', 'An API key is required (X-API-Key header)', 401);
+	}
+
+	if (key) {
+		// Limiter keys never contain the API key itself
+		await limit(env.KEY_RATE_LIMITER, `key:${(await hashToken(key)).slice(0, 16)}`, 'Rate limit exceeded for this API key');
+	} else {
+		const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+		await limit(env.IP_RATE_LIMITER, `ip:${ip}`, 'Rate limit exceeded for this address');
+	}
+}
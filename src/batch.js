@@ -0,0 +1,38 @@
+// Bounded parallelism for batch /context lookups.
+
+/**
+ * Run `fn` over `items` with at most `concurrency` calls in flight, and at most `perKey`
+ * for items sharing a key (e.g. a host), so one slow host cannot take every slot.
+ * Rejections from `fn` are ignored; callers record their own per-item errors.
+ */
+export function forEachLimited(items, { concurrency, perKey, keyOf }, fn) {
+	const queue = [...items];
+	const active = new Map();
+	let running = 0;
+
+	return new Promise((resolve) => {
+		const pump = () => {
+			if (!queue.length && running === 0) return resolve();
+			for (let i = 0; i < queue.length && running < concurrency;) {
+				const item = queue[i];
+				const key = keyOf(item);
+				if ((active.get(key) || 0) >= perKey) {
+					i++;
+					continue;
+				}
+				queue.splice(i, 1);
+				running++;
+				active.set(key, (active.get(key) || 0) + 1);
+				Promise.resolve()
+					.then(() => fn(item))
+					.catch(() => {})
+					.finally(() => {
+						running--;
+						active.set(key, active.get(key) - 1);
+						pump();
+					});
+			}
+		};
+		pump();
+	});
+}
@@ -0,0 +1,241 @@
+// Bundle pastes: several files (a dropped folder or zip archive) stored as one
+// zip paste, marked `bundle: true` in its metadata. The manifest is read from the
+// archive itself; single files are served from `/paste/:id/files/<path>`.
+
+import { unzipSync, zipSync } from 'fflate';
+import { readPaste, readPasteMetadata } from './paste.js';
+import { registerResolver } from './resolvers.js';
+import { countTokens } from './tokenizer.js';
+import { formatSize, renderTree } from './listing.js';
+import { ExtractionError } from './extract.js';
+
+export const BUNDLE_TYPE = 'application/zip';
+const ZIP_TYPES = [BUNDLE_TYPE, 'application/x-zip-compressed'];
+const DOS_EPOCH = Date.UTC(1980, 0, 2); // earliest time a zip entry can carry
+const MAX_EXPANDED_BYTES = 32 * 1024 * 1024; // a bundle's files once decompressed; isolates have 128 MB
+const JUNK_RE = /(?:^|\/)(?:__MACOSX\/|\.DS_Store$|Thumbs\.db$)/;
+const BINARY_EXTENSIONS = new Set([
+	'pdf',
+	'docx',
+	'xlsx',
+	'pptx',
+	'zip',
+	'gz',
+	'png',
+	'jpg',
+	'jpeg',
+	'gif',
+	'webp',
+	'bmp',
+	'ico',
+	'woff',
+	'woff2',
+]);
+const FILE_TYPES = {
+	json: 'application/json',
+	html: 'text/html',
+	css: 'text/css',
+	js: 'text/javascript',
+	mjs: 'text/javascript',
+	md: 'text/markdown',
+	csv: 'text/csv',
+	svg: 'image/svg+xml',
+	png: 'image/png',
+	jpg: 'image/jpeg',
+	jpeg: 'image/jpeg',
+	gif: 'image/gif',
+	webp: 'image/webp',
+	pdf: 'application/pdf',
+	docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+};
+
+export class BundleError extends Error {
+	constructor(message, code = 'invalid_bundle', status = 400) {
+		super(message);
+		this.name = 'BundleError';
+		this.code = code;
+		this.status = status;
+	}
+}
+
+/** Whether an upload with `contentType` is a bundle: `'form'` (multipart, one part per file), `'zip'`, or null. */
+export function bundleUploadKind(contentType) {
+	const type = (contentType || '').split(';')[0].trim().toLowerCase();
+	if (type === 'multipart/form-data') return 'form';
+	if (ZIP_TYPES.includes(type)) return 'zip';
+	return null;
+}
+
+function cleanPath(path) {
+	return path
+		.split(/[\\/]+/)
+		.filter((part) => part && part !== '.' && part !== '..')
+		.join('/');
+}
+
+/**
+ * Zip the files of a multipart upload. Each part's filename is its path in the bundle
+ * (`dir/sub/file.txt`). Resolves to the archive bytes, or null when it exceeds `maxBytes`.
+ */
+export async function bundleFromForm(request, maxBytes) {
+	if (Number(request.headers.get('Content-Length')) > maxBytes) return null;
+	let form;
+	try {
+		form = await request.formData();
+	} catch {
+		throw new BundleError('Could not read the multipart body');
+	}
+
+	const files = {};
+	for (const value of form.values()) {
+		if (typeof value === 'string') continue;
+		const path = cleanPath(value.name);
+		if (!path || JUNK_RE.test(path)) continue;
+		// Modification times from the browser keep the archive, and so the paste ID, stable across uploads
+		files[path] = [new Uint8Array(await value.arrayBuffer()), { mtime: Math.max(value.lastModified || 0, DOS_EPOCH) }];
+	}
+	if (!Object.keys(files).length) throw new BundleError('No files in the upload');
+
+	const zip = zipSync(files, { level: 6 });
+	return zip.byteLength > maxBytes ? null : zip;
+}
+
+/** The files of a bundle archive: `[{ path, size }]`, sorted by path. Throws a BundleError for non-zip data. */
+export function readManifest(bytes) {
+	const files = [];
+	try {
+		unzipSync(bytes, {
+			filter(file) {
+				if (!file.name.endsWith('/') && !JUNK_RE.test(file.name)) files.push({ path: file.name, size: file.originalSize });
+				return false; // listing only, nothing is decompressed
+			},
+		});
+	} catch (error) {
+		throw new BundleError(`Not a valid zip archive: ${error.message}`);
+	}
+	return files.sort((a, b) => (a.path < b.path ? -1 : 1));
+}
+
+/** Throw a BundleError when `files` (from readManifest) add up to more than a bundle may hold decompressed. */
+export function checkBundleSize(files) {
+	const total = files.reduce((sum, file) => sum + file.size, 0);
+	if (total > MAX_EXPANDED_BYTES) {
+		throw new BundleError(
+			`Bundle too large: its files add up to ${formatSize(total)}, the limit is ${formatSize(MAX_EXPANDED_BYTES)}`,
+			'bundle_too_large',
+			413,
+		);
+	}
+}
+
+/**
+ * Contents of the bundle's files as `{ [path]: Uint8Array }`, optionally only `path`. Throws a
+ * BundleError when they are too large: fflate decompresses each into a buffer of the size the
+ * archive declares, so checking those sizes first bounds the memory used.
+ */
+export function readBundleFiles(bytes, path) {
+	checkBundleSize(readManifest(bytes).filter((file) => !path || file.path === path));
+	return unzipSync(bytes, {
+		filter: (file) => !file.name.endsWith('/') && !JUNK_RE.test(file.name) && (!path || file.name === path),
+	});
+}
+
+function extensionOf(path) {
+	return (path.match(/\.([a-z0-9]+)$/i)?.[1] || '').toLowerCase();
+}
+
+/** `data` as text, or null when it looks binary. */
+function fileText(path, data) {
+	if (BINARY_EXTENSIONS.has(extensionOf(path)) || data.includes(0)) return null;
+	try {
+		return new TextDecoder('utf-8', { fatal: true }).decode(data);
+	} catch {
+		return null;
+	}
+}
+
+/** Content type to serve a bundle file with. */
+export function bundleFileType(path, data) {
+	const known = FILE_TYPES[extensionOf(path)];
+	if (known) return known.startsWith('text/') ? `${known}; charset=utf-8` : known;
+	return fileText(path, data) === null ? 'application/octet-stream' : 'text/plain; charset=utf-8';
+}
+
+function codeBlock(path, text) {
+	// A fence longer than any backtick run inside, so markdown files stay intact
+	const longest = Math.max(2, ...(text.match(/`+/g) || []).map((run) => run.length));
+	const fence = '`'.repeat(longest + 1);
+	return `${fence}${extensionOf(path)}\n${text.replace(/\n$/, '')}\n${fence}`;
+}
+
+// ── /context ─────────────────────────────────────────────────────────
+
+const PASTE_PATH_RE = /^\/paste\/([^/]+)(?:\/files\/(.+))?$/;
+
+// This worker's own bundle pastes: the whole bundle becomes a file tree plus every text
+// file; `/files/<path>` becomes that one file. Encrypted pastes are refused, since only
+// the client holding the key can read them, and so are burn-after-read pastes, which a
+// lookup would use up. Other pastes are fetched as usual.
+registerResolver({
+	name: 'bundle',
+	match(url, { origin }) {
+		if (url.origin !== origin) return null;
+		const m = url.pathname.match(PASTE_PATH_RE);
+		if (!m) return null;
+		try {
+			return { id: m[1], path: m[2] ? decodeURIComponent(m[2]) : null };
+		} catch {
+			return null;
+		}
+	},
+	async resolve({ id, path }, { env, encoding }) {
+		if (!env.PASTES) return null;
+		const metadata = await readPasteMetadata(env.PASTES, id);
+		if (metadata?.encrypted) {
+			throw new ExtractionError('This paste is end-to-end encrypted; only a client with its key can read it', 'encrypted_paste');
+		}
+		if (metadata?.burn) {
+			throw new ExtractionError('This paste is deleted after its first read; looking it up would use it up', 'burn_after_read');
+		}
+		if (!metadata?.bundle) return null;
+		const paste = await readPaste(env.PASTES, id);
+		if (!paste) return null;
+		const bytes = new Uint8Array(await new Response(paste.body).arrayBuffer());
+		const name = metadata.fileName || `Bundle ${id}`;
+
+		if (path) {
+			const data = readBundleFiles(bytes, path)[path];
+			const text = data && fileText(path, data);
+			// Binary files are fetched from the files route, so they get the regular extraction
+			if (text === null || text === undefined) return null;
+			return {
+				type: extensionOf(path) === 'json' ? 'json' : 'text',
+				content: text,
+				title: `${path} · ${name}`,
+				description: `File in bundle ${name}`,
+			};
+		}
+
+		const files = [];
+		const sections = [];
+		for (const [filePath, data] of Object.entries(readBundleFiles(bytes)).sort(([a], [b]) => (a < b ? -1 : 1))) {
+			const text = fileText(filePath, data);
+			const file = { path: filePath, size: data.byteLength, tokens: text === null ? null : await countTokens(text, encoding) };
+			files.push(file);
+			if (text !== null) sections.push(`## ${filePath}\n\n${codeBlock(filePath, text)}`);
+		}
+
+		const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+		const summary = `${files.length} files, ${formatSize(totalSize)}`;
+		const tree = renderTree(files, (file) =>
+			file.tokens === null ? `${formatSize(file.size)}, binary` : `${formatSize(file.size)}, ${file.tokens} tokens`,
+		);
+		return {
+			type: 'bundle',
+			content: [`# ${name}`, summary, tree, ...sections].join('\n\n'),
+			title: name,
+			description: summary,
+			details: { bundle: { files } },
+		};
+	},
+});
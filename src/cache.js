@@ -0,0 +1,51 @@
+// Edge cache for analyzed /context results.
+//
+// Entries are kept in the Cache API well past their TTL so that stale ones can
+// still be revalidated upstream with their ETag / Last-Modified validators.
+
+const DEFAULT_TTL = 300;
+const RETENTION = 86400 * 7;
+
+/** Freshness lifetime in seconds, from `CONTEXT_CACHE_TTL` (default 5 minutes). */
+export function cacheTtl(env) {
+	const ttl = Number(env.CONTEXT_CACHE_TTL);
+	return env.CONTEXT_CACHE_TTL !== undefined && Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_TTL;
+}
+
+function cacheKey(origin, targetUrl, encoding) {
+	return new Request(`${origin}/__context-cache?${new URLSearchParams({ url: targetUrl, encoding })}`);
+}
+
+/** Age of an entry in whole seconds. */
+export function entryAge(entry) {
+	return Math.max(0, Math.floor((Date.now() - entry.fetchedAt) / 1000));
+}
+
+export async function readEntry(origin, targetUrl, encoding) {
+	const cached = await caches.default.match(cacheKey(origin, targetUrl, encoding));
+	return cached ? cached.json() : null;
+}
+
+export async function writeEntry(origin, targetUrl, encoding, entry) {
+	await caches.default.put(
+		cacheKey(origin, targetUrl, encoding),
+		new Response(JSON.stringify(entry), {
+			headers: { 'Content-Type': 'application/json', 'Cache-Control': `max-age=${RETENTION}` },
+		}),
+	);
+}
+
+/** Conditional request headers for revalidating `entry` upstream. */
+export function validatorHeaders(entry) {
+	const headers = {};
+	if (entry?.etag) headers['If-None-Match'] = entry.etag;
+	if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+	return headers;
+}
+
+/** Strong ETag for our own response: changes with the analyzed content and encoding. */
+export async function responseEtag(entry) {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${entry.encoding}\n${entry.content}`));
+	const hex = [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+	return `"${hex.slice(0, 32)}"`;
+}
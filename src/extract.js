@@ -0,0 +1,171 @@
+// Text and metadata extraction for binary /context targets: PDF and DOCX
+// documents are reduced to plain text, images to their format and size.
+
+import { extractText, getDocumentProxy, getMeta } from 'unpdf';
+import { unzipSync, strFromU8 } from 'fflate';
+import { decodeEntities } from './html.js';
+import { formatSize } from './listing.js';
+
+export class ExtractionError extends Error {
+	constructor(message, code = 'extraction_failed', status = 422) {
+		super(message);
+		this.name = 'ExtractionError';
+		this.code = code;
+		this.status = status;
+	}
+}
+
+const MAX_DOCX_XML_BYTES = 32 * 1024 * 1024; // the parts read from a DOCX once decompressed; isolates have 128 MB
+
+const DOCX_TYPES = ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
+const IMAGE_FORMATS = ['png', 'jpeg', 'gif', 'webp', 'bmp'];
+
+/** Which extractor handles a response, from its content type and (as a fallback) the URL's extension. */
+export function extractorFor(contentType, url) {
+	const type = contentType.split(';')[0].trim().toLowerCase();
+	const ext = (url.match(/\.([a-z0-9]+)(?:[?#]|$)/i)?.[1] || '').toLowerCase();
+	const generic = !type || type === 'application/octet-stream' || type === 'binary/octet-stream';
+
+	if (type === 'application/pdf' || (generic && ext === 'pdf')) return 'pdf';
+	if (DOCX_TYPES.includes(type) || (generic && ext === 'docx')) return 'docx';
+	if ((type.startsWith('image/') && type !== 'image/svg+xml') || (generic && IMAGE_FORMATS.includes(ext === 'jpg' ? 'jpeg' : ext))) {
+		return 'image';
+	}
+	return null;
+}
+
+// ── PDF ──────────────────────────────────────────────────────────────
+
+/** Plain text of a PDF, pages separated by blank lines. Resolves to `{ text, title, pages }`. */
+export async function extractPdf(bytes) {
+	const pdf = await getDocumentProxy(new Uint8Array(bytes));
+	const { totalPages, text } = await extractText(pdf, { mergePages: false });
+	let title = '';
+	try {
+		const { info } = await getMeta(pdf);
+		title = (info?.Title || '').trim();
+	} catch {
+		// Metadata is optional
+	}
+	return {
+		text: text
+			.map((page) => page.trim())
+			.filter(Boolean)
+			.join('\n\n'),
+		title,
+		pages: totalPages,
+	};
+}
+
+// ── DOCX ─────────────────────────────────────────────────────────────
+
+function docxParagraph(xml) {
+	const style = xml.match(/<w:pStyle\b[^>]*w:val="([^"]+)"/)?.[1] || '';
+	let text = '';
+	const re = /<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:tab\s*\/>|<w:(?:br|cr)\b[^>]*\/>/g;
+	let m;
+	while ((m = re.exec(xml)) !== null) {
+		if (m[1] !== undefined) text += decodeEntities(m[1]);
+		else text += m[0].startsWith('<w:tab') ? '\t' : '\n';
+	}
+	if (!text.trim()) return '';
+
+	const heading = style.match(/^Heading(\d)$/i);
+	if (heading) return `${'#'.repeat(Math.min(6, Number(heading[1])))} ${text.trim()}`;
+	if (style === 'Title') return `# ${text.trim()}`;
+	if (/<w:numPr\b/.test(xml) || /^List/.test(style)) return `- ${text.trim()}`;
+	return text;
+}
+
+/** Text of a DOCX document (paragraphs, headings and list items). Resolves to `{ text, title }`. */
+export function extractDocx(bytes) {
+	let expanded = 0;
+	const files = unzipSync(new Uint8Array(bytes), {
+		// Sizes come from the zip directory, before inflating; fflate inflates no further than the size given
+		filter: (file) => {
+			if (file.name !== 'word/document.xml' && file.name !== 'docProps/core.xml') return false;
+			expanded += file.originalSize;
+			if (expanded > MAX_DOCX_XML_BYTES) {
+				throw new ExtractionError(
+					`DOCX too large: its text is ${formatSize(expanded)} decompressed, the limit is ${formatSize(MAX_DOCX_XML_BYTES)}`,
+					'document_too_large',
+					413,
+				);
+			}
+			return true;
+		},
+	});
+	const documentXml = files['word/document.xml'];
+	if (!documentXml) throw new Error('Not a DOCX document (word/document.xml missing)');
+
+	const body = strFromU8(documentXml);
+	const paragraphs = (body.match(/<w:p\b[\s\S]*?<\/w:p>/g) || []).map(docxParagraph).filter(Boolean);
+
+	const core = files['docProps/core.xml'] ? strFromU8(files['docProps/core.xml']) : '';
+	const title = decodeEntities(core.match(/<dc:title>([\s\S]*?)<\/dc:title>/)?.[1] || '').trim();
+
+	return { text: paragraphs.join('\n\n'), title };
+}
+
+// ── images ───────────────────────────────────────────────────────────
+
+function jpegSize(b) {
+	let i = 2;
+	while (i + 9 < b.length) {
+		if (b[i] !== 0xff) {
+			i++;
+			continue;
+		}
+		const marker = b[i + 1];
+		const length = (b[i + 2] << 8) | b[i + 3];
+		// SOF0–SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+		if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+			return { height: (b[i + 5] << 8) | b[i + 6], width: (b[i + 7] << 8) | b[i + 8] };
+		}
+		i += 2 + length;
+	}
+	return null;
+}
+
+function webpSize(b) {
+	const chunk = String.fromCharCode(...b.subarray(12, 16));
+	if (chunk === 'VP8 ') return { width: ((b[27] << 8) | b[26]) & 0x3fff, height: ((b[29] << 8) | b[28]) & 0x3fff };
+	if (chunk === 'VP8L') {
+		const bits = b[21] | (b[22] << 8) | (b[23] << 16) | (b[24] << 24);
+		return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+	}
+	if (chunk === 'VP8X') {
+		return { width: 1 + (b[24] | (b[25] << 8) | (b[26] << 16)), height: 1 + (b[27] | (b[28] << 8) | (b[29] << 16)) };
+	}
+	return null;
+}
+
+/** Format and pixel size of an image, read from its header. Resolves fields to null when unknown. */
+export function imageInfo(bytes, contentType = '') {
+	const b = new Uint8Array(bytes);
+	const ascii = (start, end) => String.fromCharCode(...b.subarray(start, end));
+	const view = new DataView(b.buffer, b.byteOffset, b.byteLength);
+	let format = null;
+	let size = null;
+
+	if (b.length >= 24 && b[0] === 0x89 && ascii(1, 4) === 'PNG') {
+		format = 'png';
+		size = { width: view.getUint32(16), height: view.getUint32(20) };
+	} else if (b.length >= 10 && ascii(0, 4) === 'GIF8') {
+		format = 'gif';
+		size = { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+	} else if (b.length >= 4 && b[0] === 0xff && b[1] === 0xd8) {
+		format = 'jpeg';
+		size = jpegSize(b);
+	} else if (b.length >= 30 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+		format = 'webp';
+		size = webpSize(b);
+	} else if (b.length >= 26 && ascii(0, 2) === 'BM') {
+		format = 'bmp';
+		size = { width: view.getInt32(18, true), height: Math.abs(view.getInt32(22, true)) };
+	} else {
+		format = contentType.split(';')[0].split('/')[1] || null;
+	}
+
+	return { format, width: size?.width ?? null, height: size?.height ?? null, bytes: b.byteLength };
+}
@@ -0,0 +1,402 @@
+// HTML → markdown conversion used by /context.
+//
+// A small, dependency-free parser: it builds a loose element tree (good enough
+// for real-world, non-validating markup), picks the main content node, and
+// renders it as markdown.
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title']);
+// Closing tags of raw-text elements, searched for case-insensitively from where the element starts
+const RAW_TEXT_CLOSE_RE = Object.fromEntries([...RAW_TEXT_TAGS].map((tag) => [tag, new RegExp(`</${tag}`, 'gi')]));
+const SKIP_TAGS = new Set([
+	'head',
+	'script',
+	'style',
+	'noscript',
+	'template',
+	'svg',
+	'canvas',
+	'iframe',
+	'object',
+	'nav',
+	'footer',
+	'aside',
+	'form',
+	'button',
+	'select',
+	'input',
+	'textarea',
+	'dialog',
+]);
+const BLOCK_TAGS = new Set([
+	'address',
+	'article',
+	'body',
+	'center',
+	'dd',
+	'details',
+	'div',
+	'dl',
+	'dt',
+	'figcaption',
+	'figure',
+	'main',
+	'p',
+	'section',
+	'summary',
+]);
+// Opening one of these implicitly closes an open sibling of the same kind.
+const AUTO_CLOSE = {
+	li: ['li'],
+	dt: ['dt', 'dd'],
+	dd: ['dt', 'dd'],
+	tr: ['tr', 'td', 'th'],
+	td: ['td', 'th'],
+	th: ['td', 'th'],
+	p: ['p'],
+	option: ['option'],
+};
+const AUTO_CLOSE_BOUNDARY = new Set(['ul', 'ol', 'dl', 'table', 'tbody', 'thead', 'tfoot', 'div', 'section', 'article', 'body', 'select']);
+
+const ENTITIES = {
+	amp: '&',
+	lt: '<',
+	gt: '>',
+	quot: '"',
+	apos: "'",
+	nbsp: ' ',
+	ndash: '–',
+	mdash: '—',
+	hellip: '…',
+	lsquo: '‘',
+	rsquo: '’',
+	ldquo: '“',
+	rdquo: '”',
+	laquo: '«',
+	raquo: '»',
+	bull: '•',
+	middot: '·',
+	copy: '©',
+	reg: '®',
+	trade: '™',
+	times: '×',
+	larr: '←',
+	rarr: '→',
+};
+
+const TAG_RE =
+	/<!--[\s\S]*?-->|<![^>]*>|<\?[\s\S]*?\?>|<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/g;
+const ATTR_RE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+export function decodeEntities(text) {
+	return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d*);/gi, (match, name) => {
+		if (name[0] === '#') {
+			const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+			try {
+				return String.fromCodePoint(code);
+			} catch {
+				return match;
+			}
+		}
+		const value = ENTITIES[name.toLowerCase()];
+		return value === undefined ? match : value;
+	});
+}
+
+function parseAttributes(source) {
+	const attrs = {};
+	let m;
+	ATTR_RE.lastIndex = 0;
+	while ((m = ATTR_RE.exec(source)) !== null) {
+		attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? '');
+	}
+	return attrs;
+}
+
+/** Parse HTML into a tree of `{ tag, attrs, children }` nodes; text nodes are strings. */
+export function parseHtml(html) {
+	const root = { tag: '#root', attrs: {}, children: [] };
+	const stack = [root];
+	const current = () => stack[stack.length - 1];
+	let last = 0;
+	let m;
+
+	TAG_RE.lastIndex = 0;
+	while ((m = TAG_RE.exec(html)) !== null) {
+		if (m.index > last) current().children.push(decodeEntities(html.slice(last, m.index)));
+		last = TAG_RE.lastIndex;
+		if (!m[2]) continue; // comment, doctype, processing instruction
+
+		const tag = m[2].toLowerCase();
+		if (m[1]) {
+			const idx = stack.findLastIndex((n) => n.tag === tag);
+			if (idx > 0) stack.length = idx;
+			continue;
+		}
+
+		if (AUTO_CLOSE[tag]) {
+			for (let i = stack.length - 1; i > 0; i--) {
+				if (AUTO_CLOSE_BOUNDARY.has(stack[i].tag)) break;
+				if (AUTO_CLOSE[tag].includes(stack[i].tag)) {
+					stack.length = i;
+					break;
+				}
+			}
+		}
+
+		const node = { tag, attrs: parseAttributes(m[3]), children: [] };
+		current().children.push(node);
+
+		if (RAW_TEXT_TAGS.has(tag)) {
+			const closeRe = RAW_TEXT_CLOSE_RE[tag];
+			closeRe.lastIndex = last;
+			const close = closeRe.exec(html)?.index ?? -1;
+			const end = close === -1 ? html.length : close;
+			const raw = html.slice(last, end);
+			if (raw) node.children.push(tag === 'title' || tag === 'textarea' ? decodeEntities(raw) : raw);
+			const gt = close === -1 ? -1 : html.indexOf('>', close);
+			last = gt === -1 ? html.length : gt + 1;
+			TAG_RE.lastIndex = last;
+		} else if (!VOID_TAGS.has(tag) && !m[4]) {
+			stack.push(node);
+		}
+	}
+	if (last < html.length) current().children.push(decodeEntities(html.slice(last)));
+	return root;
+}
+
+function* walk(node) {
+	if (typeof node === 'string') return;
+	yield node;
+	for (const child of node.children) yield* walk(child);
+}
+
+function textContent(node) {
+	if (typeof node === 'string') return node;
+	return node.children.map(textContent).join('');
+}
+
+function visibleTextLength(node) {
+	if (typeof node === 'string') return node.trim().length;
+	if (SKIP_TAGS.has(node.tag)) return 0;
+	return node.children.reduce((n, c) => n + visibleTextLength(c), 0);
+}
+
+function find(root, predicate) {
+	for (const node of walk(root)) if (predicate(node)) return node;
+	return null;
+}
+
+function extractMetadata(root) {
+	const meta = {};
+	for (const node of walk(root)) {
+		if (node.tag !== 'meta') continue;
+		const key = (node.attrs.property || node.attrs.name || '').toLowerCase();
+		if (key && node.attrs.content && !(key in meta)) meta[key] = node.attrs.content.trim();
+	}
+	const titleNode = find(root, (n) => n.tag === 'title');
+	const docTitle = titleNode ? textContent(titleNode).replace(/\s+/g, ' ').trim() : '';
+	return {
+		title: meta['og:title'] || meta['twitter:title'] || docTitle,
+		description: meta['description'] || meta['og:description'] || meta['twitter:description'] || '',
+	};
+}
+
+function findMainContent(root) {
+	const articles = [...walk(root)].filter((n) => n.tag === 'article');
+	if (articles.length) {
+		return articles.reduce((best, n) => (visibleTextLength(n) > visibleTextLength(best) ? n : best));
+	}
+	return find(root, (n) => n.tag === 'main') || find(root, (n) => n.attrs.role === 'main') || find(root, (n) => n.tag === 'body') || root;
+}
+
+// ── markdown rendering ────────────────────────────────────────────────
+
+function resolveUrl(href, baseUrl) {
+	try {
+		return new URL(href, baseUrl).href;
+	} catch {
+		return href;
+	}
+}
+
+function collapseWhitespace(text) {
+	return text.replace(/\s+/g, ' ');
+}
+
+function escapeInline(text) {
+	return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+function block(content) {
+	const trimmed = content.trim();
+	return trimmed ? `\n\n${trimmed}\n\n` : '';
+}
+
+function prefixLines(text, prefix, firstPrefix = prefix) {
+	return text
+		.split('\n')
+		.map((line, i) => (i === 0 ? firstPrefix : line ? prefix : prefix.trimEnd()) + line)
+		.join('\n');
+}
+
+function codeLanguage(node) {
+	for (const n of walk(node)) {
+		const cls = n.attrs.class || '';
+		const m = cls.match(/(?:^|\s)(?:language|lang)-([\w+#-]+)/);
+		if (m) return m[1];
+	}
+	return '';
+}
+
+function renderChildren(node, ctx) {
+	return node.children.map((child) => render(child, ctx)).join('');
+}
+
+function renderInline(node, ctx) {
+	return collapseWhitespace(renderChildren(node, ctx)).trim();
+}
+
+function renderList(node, ctx) {
+	const ordered = node.tag === 'ol';
+	let index = Number(node.attrs.start) || 1;
+	const items = [];
+	for (const child of node.children) {
+		if (typeof child === 'string' || child.tag !== 'li') {
+			const stray = typeof child === 'string' ? child.trim() : render(child, ctx).trim();
+			if (stray) items.push(stray);
+			continue;
+		}
+		const marker = ordered ? `${index++}. ` : '- ';
+		const body = renderChildren(child, { ...ctx, inList: true })
+			.replace(/\n{3,}/g, '\n\n')
+			.trim();
+		items.push(prefixLines(body, ' '.repeat(marker.length), marker));
+	}
+	const list = items.join('\n');
+	return ctx.inList ? `\n${list}\n` : block(list);
+}
+
+function renderTable(node, ctx) {
+	const rows = [...walk(node)]
+		.filter((n) => n.tag === 'tr')
+		.map((tr) =>
+			tr.children
+				.filter((c) => typeof c !== 'string' && (c.tag === 'td' || c.tag === 'th'))
+				.map((cell) => renderInline(cell, ctx).replace(/\|/g, '\\|')),
+		)
+		.filter((cells) => cells.length);
+	if (!rows.length) return '';
+	const width = Math.max(...rows.map((r) => r.length));
+	const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] ?? '').join(' | ')} |`;
+	const out = [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)];
+	return block(out.join('\n'));
+}
+
+function render(node, ctx) {
+	if (typeof node === 'string') return escapeInline(collapseWhitespace(node));
+	if (SKIP_TAGS.has(node.tag) || node.attrs.hidden !== undefined || node.attrs['aria-hidden'] === 'true') return '';
+
+	const tag = node.tag;
+	switch (tag) {
+		case 'h1':
+		case 'h2':
+		case 'h3':
+		case 'h4':
+		case 'h5':
+		case 'h6': {
+			const text = renderInline(node, ctx);
+			return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+		}
+		case 'br':
+			return '\n';
+		case 'hr':
+			return '\n\n---\n\n';
+		case 'strong':
+		case 'b': {
+			const text = renderInline(node, ctx);
+			return text ? `**${text}**` : '';
+		}
+		case 'em':
+		case 'i': {
+			const text = renderInline(node, ctx);
+			return text ? `_${text}_` : '';
+		}
+		case 'del':
+		case 's':
+		case 'strike': {
+			const text = renderInline(node, ctx);
+			return text ? `~~${text}~~` : '';
+		}
+		case 'code': {
+			const text = collapseWhitespace(textContent(node));
+			const fence = text.includes('`') ? '``' : '`';
+			return text ? `${fence}${text}${fence}` : '';
+		}
+		case 'pre': {
+			const code = textContent(node).replace(/^\n/, '').trimEnd();
+			const fence = code.includes('```') ? '~~~' : '```';
+			return `\n\n${fence}${codeLanguage(node)}\n${code}\n${fence}\n\n`;
+		}
+		case 'a': {
+			const text = renderInline(node, ctx);
+			const href = node.attrs.href;
+			if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return text;
+			const url = resolveUrl(href, ctx.baseUrl);
+			if (!text) return '';
+			return text === url ? `<${url}>` : `[${text}](${url})`;
+		}
+		case 'img': {
+			const src = node.attrs.src;
+			if (!src || src.startsWith('data:')) return '';
+			return `![${escapeInline(node.attrs.alt || '')}](${resolveUrl(src, ctx.baseUrl)})`;
+		}
+		case 'ul':
+		case 'ol':
+			return renderList(node, ctx);
+		case 'li':
+			return block(`- ${renderInline(node, ctx)}`);
+		case 'blockquote': {
+			const body = renderChildren(node, ctx)
+				.replace(/\n{3,}/g, '\n\n')
+				.trim();
+			return body ? block(prefixLines(body, '> ')) : '';
+		}
+		case 'table':
+			return renderTable(node, ctx);
+		default:
+			if (BLOCK_TAGS.has(tag)) return block(renderChildren(node, ctx));
+			return renderChildren(node, ctx);
+	}
+}
+
+function tidy(markdown) {
+	let fenced = false;
+	return markdown
+		.split('\n')
+		.map((line) => {
+			if (/^(```|~~~)/.test(line)) fenced = !fenced;
+			// Collapsed whitespace between blocks leaves a single leading space; real indents are wider.
+			return fenced ? line : line.replace(/^ (?=\S)/, '').replace(/[ \t]+$/, '');
+		})
+		.join('\n')
+		.replace(/\n{3,}/g, '\n\n')
+		.trim();
+}
+
+/**
+ * Convert an HTML document to markdown.
+ * Returns `{ title, description, markdown }` where `markdown` covers only the main content.
+ */
+export function htmlToMarkdown(html, baseUrl) {
+	const root = parseHtml(html);
+	const { title, description } = extractMetadata(root);
+	const base = find(root, (n) => n.tag === 'base' && n.attrs.href);
+	const ctx = { baseUrl: base ? resolveUrl(base.attrs.href, baseUrl) : baseUrl, inList: false };
+
+	const main = findMainContent(root);
+	let markdown = tidy(render(main, ctx));
+	if (!markdown && main !== root) markdown = tidy(render(root, ctx));
+
+	return { title, description, markdown };
+}
@@ -1,30 +1,118 @@
+import { htmlToMarkdown } from './html.js';
+import { ExtractionError, extractDocx, extractPdf, extractorFor, imageInfo } from './extract.js';
+import { DEFAULT_ENCODING, countTokens, resolveEncoding, truncateToTokens } from './tokenizer.js';
+import { PolicyError, UpstreamError, checkUrl, contextPolicy, policyFetch } from './policy.js';
+import {
+	DEFAULT_EXPIRY,
+	contentAddress,
+	contentDisposition,
+	deletePaste,
+	generateToken,
+	hashToken,
+	isContentAddressed,
+	matchPasteToken,
+	maxPasteBytes,
+	parseExpiry,
+	placePaste,
+	randomId,
+	readPaste,
+	readPasteBody,
+	readPasteMetadata,
+	releasePaste,
+	requestToken,
+	uploadFileInfo,
+	validContentType,
+	writePaste,
+} from './paste.js';
+import { forEachLimited } from './batch.js';
+import { findReferences } from './references.js';
+import { resolveUrl } from './resolvers.js';
+import { SelectorError, applySelector, splitSelector } from './selector.js';
+import { AccessError, checkAccess, corsHeadersFor } from './access.js';
+import {
+	BUNDLE_TYPE,
+	BundleError,
+	bundleFileType,
+	bundleFromForm,
+	bundleUploadKind,
+	checkBundleSize,
+	readBundleFiles,
+	readManifest,
+} from './bundle.js';
+import { MAX_VIEW_BYTES, VIEWER_CSP, prefersHtml, renderViewer, viewerCanShow, viewerText } from './viewer.js';
+import { cacheTtl, entryAge, readEntry, responseEtag, validatorHeaders, writeEntry } from './cache.js';
+
+const BUNDLE_FILE_RE = /^\/paste\/([^/]+)\/files\/(.+)$/;
+const API_ROUTE_RE = /^\/(?:paste(?:\/|$)|context$|compile$|tokens$)/;
+
 export default {
-	async fetch(request, env) {
+	async fetch(request, env, ctx) {
 		const url = new URL(request.url);
 
-		const corsHeaders = {
-			'Access-Control-Allow-Origin': '*',
-			'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-			'Access-Control-Allow-Headers': 'Content-Type',
-		};
+		const corsHeaders = corsHeadersFor(request, env, url);
 
 		if (request.method === 'OPTIONS') {
 			return new Response(null, { headers: corsHeaders });
 		}
 
-		// POST /paste — store content, return URL
+		// API routes: origin allowlist, API key (not needed to read a paste) and rate limits
+		if (API_ROUTE_RE.test(url.pathname)) {
+			try {
+				await checkAccess(request, env, url, { keyOptional: request.method === 'GET' && url.pathname.startsWith('/paste/') });
+			} catch (error) {
+				if (!(error instanceof AccessError)) throw error;
+				return jsonError(error.status, error.message, error.code, { ...corsHeaders, ...error.headers });
+			}
+		}
+
+		// POST /paste[?expires=1h|7d|never|burn] — store content, return URL (+ management token)
 		if (url.pathname === '/paste' && request.method === 'POST') {
 			return handlePaste(request, env, url, corsHeaders);
 		}
 
-		// GET /paste/:id — retrieve stored paste
+		// GET /paste/:id/meta — file name, size and lifecycle of a paste
+		if (/^\/paste\/[^/]+\/meta$/.test(url.pathname) && request.method === 'GET') {
+			return handlePasteMeta(env, url, corsHeaders);
+		}
+
+		// GET /paste/:id/files/<path> — one file of a bundle paste
+		if (BUNDLE_FILE_RE.test(url.pathname) && request.method === 'GET') {
+			return handleGetBundleFile(env, ctx, url, corsHeaders);
+		}
+
+		// GET /paste/:id[?raw|?download] — retrieve stored paste (an HTML viewer for browsers)
 		if (url.pathname.startsWith('/paste/') && request.method === 'GET') {
-			return handleGetPaste(url, env, corsHeaders);
+			return handleGetPaste(request, env, ctx, url, corsHeaders);
+		}
+
+		// PUT /paste/:id — replace content (requires management token)
+		if (url.pathname.startsWith('/paste/') && request.method === 'PUT') {
+			return handleUpdatePaste(request, env, url, corsHeaders);
+		}
+
+		// DELETE /paste/:id — remove paste (requires management token)
+		if (url.pathname.startsWith('/paste/') && request.method === 'DELETE') {
+			return handleDeletePaste(request, env, url, corsHeaders);
 		}
 
-		// GET /context?url=... — fetch & analyze a URL
+		// GET /context?url=...[&fresh=1] — fetch & analyze a URL (edge-cached)
 		if (url.pathname === '/context' && request.method === 'GET') {
-			return handleContext(url, corsHeaders);
+			return handleContext(request, env, ctx, url, corsHeaders);
+		}
+
+		// POST /context { urls: [...] } — analyze several URLs at once, results keyed by URL
+		if (url.pathname === '/context' && request.method === 'POST') {
+			return handleContextBatch(request, env, ctx, url, corsHeaders);
+		}
+
+		// POST /compile { text, budget? } — resolve every reference and assemble the final prompt
+		if (url.pathname === '/compile' && request.method === 'POST') {
+			return handleCompile(request, env, ctx, url, corsHeaders);
+		}
+
+		// POST /tokens { text } — count tokens the way /context and /compile do
+		if (url.pathname === '/tokens' && request.method === 'POST') {
+			return handleTokens(request, corsHeaders);
 		}
 
 		// Everything else: static assets (index.html, contextarea.js)
@@ -40,84 +128,721 @@ async function handlePaste(request, env, url, corsHeaders) {
 		});
 	}
 
-	const id = crypto.randomUUID().slice(0, 8);
-	const content = await request.text();
-	const contentType = request.headers.get('Content-Type') || 'text/plain';
+	const expiresParam = url.searchParams.get('expires') || DEFAULT_EXPIRY;
+	const expiry = parseExpiry(expiresParam);
+	if (!expiry) {
+		return new Response(`Invalid expires value: ${expiresParam} (use e.g. 10m, 1h, 7d, 2w, never or burn)`, {
+			status: 400,
+			headers: corsHeaders,
+		});
+	}
+
+	const { body, metadata, error } = await readUpload(request, env, 'text/plain', corsHeaders);
+	if (error) return error;
+
+	// Identical content maps to the same paste when that one lives at least as long, with a token of
+	// its own for each uploader; burn-after-read pastes are never shared
+	const token = generateToken();
+	const tokenHash = await hashToken(token);
+	const address = await contentAddress(body);
+	const { id, shared } = expiry.burn
+		? { id: randomId(), shared: null }
+		: await placePaste(env.PASTES, address, expiry.expiresAt, tokenHash);
+	if (shared) {
+		return pasteCreatedResponse(request, url, id, { expiresAt: shared.expiresAt, burn: false, token, deduplicated: true }, corsHeaders);
+	}
 
-	await env.PASTES.put(id, content, {
-		metadata: { contentType },
-		expirationTtl: 86400 * 30,
+	await writePaste(env.PASTES, id, body, {
+		...metadata,
+		...uploadFileInfo(request),
+		createdAt: Date.now(),
+		hash: address.hash,
+		expiresAt: expiry.expiresAt,
+		burn: expiry.burn,
+		tokenHashes: [tokenHash],
 	});
 
+	return pasteCreatedResponse(request, url, id, { ...expiry, token }, corsHeaders);
+}
+
+/**
+ * Read the body of POST/PUT /paste. Multipart uploads (a dropped folder, one part per file) are
+ * zipped into a bundle and zip uploads are checked to be one. Returns `{ body, metadata }`, with
+ * the content type and bundle fields for the paste metadata, or `{ error }` (a Response).
+ */
+async function readUpload(request, env, defaultType, corsHeaders) {
+	const maxBytes = maxPasteBytes(env);
+	// End-to-end encrypted uploads are opaque: the content type and file name are inside the ciphertext
+	const encrypted = Boolean(request.headers.get('X-Paste-Encrypted'));
+	const contentType = encrypted ? 'application/octet-stream' : request.headers.get('Content-Type') || defaultType;
+	if (!validContentType(contentType)) {
+		return {
+			error: new Response('Invalid Content-Type: expected a media type of at most 128 characters', { status: 400, headers: corsHeaders }),
+		};
+	}
+	const kind = encrypted ? null : bundleUploadKind(contentType);
+	try {
+		const body = kind === 'form' ? await bundleFromForm(request, maxBytes) : await readPasteBody(request, maxBytes);
+		if (!body) {
+			return { error: new Response(`Paste too large: the limit is ${maxBytes} bytes`, { status: 413, headers: corsHeaders }) };
+		}
+		if (!kind) return { body, metadata: { contentType, encrypted: encrypted || undefined, bundle: undefined, files: undefined } };
+		const files = readManifest(body);
+		checkBundleSize(files);
+		return { body, metadata: { contentType: BUNDLE_TYPE, encrypted: undefined, bundle: true, files: files.length } };
+	} catch (error) {
+		if (!(error instanceof BundleError)) throw error;
+		return { error: new Response(error.message, { status: error.status, headers: corsHeaders }) };
+	}
+}
+
+/** Response for POST /paste: the URL as text, or JSON when asked for. */
+function pasteCreatedResponse(request, url, id, { expiresAt, burn, token, deduplicated = false }, corsHeaders) {
 	const pasteUrl = `${url.origin}/paste/${id}`;
+	const expires = expiresAt ? new Date(expiresAt).toISOString() : 'never';
+	const headers = { ...corsHeaders, 'X-Paste-Expires': burn ? 'burn' : expires };
+	if (token) headers['X-Paste-Token'] = token;
+	if (deduplicated) headers['X-Paste-Deduplicated'] = 'true';
+
+	if ((request.headers.get('Accept') || '').includes('application/json')) {
+		return new Response(JSON.stringify({ url: pasteUrl, id, token, expiresAt: expires, burn, deduplicated }), {
+			headers: { ...headers, 'Content-Type': 'application/json' },
+		});
+	}
 	return new Response(pasteUrl, {
-		headers: { ...corsHeaders, 'Content-Type': 'text/plain' },
+		headers: { ...headers, 'Content-Type': 'text/plain' },
 	});
 }
 
-async function handleGetPaste(url, env, corsHeaders) {
+async function handleGetPaste(request, env, ctx, url, corsHeaders) {
 	if (!env.PASTES) {
 		return new Response('KV not configured', { status: 503, headers: corsHeaders });
 	}
 
 	const id = url.pathname.slice('/paste/'.length);
-	const { value, metadata } = await env.PASTES.getWithMetadata(id);
+	const paste = await readPaste(env.PASTES, id);
 
-	if (!value) {
+	if (!paste) {
 		return new Response('Not found', { status: 404, headers: corsHeaders });
 	}
 
-	return new Response(value, {
+	const { body, metadata, done } = paste;
+	const download = url.searchParams.has('download');
+	const headers = {
+		...corsHeaders,
+		'Content-Type': metadata.contentType || 'text/plain',
+		// The same URL serves the viewer or the raw body depending on Accept
+		Vary: 'Origin, Accept',
+	};
+	if (metadata.fileName || download) {
+		headers['Content-Disposition'] = contentDisposition(metadata.fileName || id, download ? 'attachment' : 'inline');
+	}
+
+	const viewer = !download && prefersHtml(request, url) && viewerCanShow(metadata);
+	if (viewer && metadata.encrypted) {
+		// The page decrypts in the browser and fetches the body itself; that fetch is the read that burns
+		await body.cancel();
+		ctx.waitUntil(done.catch(() => {}));
+		return viewerResponse(renderViewer({ id, metadata, text: null, tokens: null }), metadata, corsHeaders);
+	}
+
+	if (metadata.burn) {
+		// Burn after reading: the head goes now so nobody else can open it, the rest once served
+		await env.PASTES.delete(id);
+		headers['Cache-Control'] = 'no-store';
+		ctx.waitUntil(done.then(() => deletePaste(env.PASTES, id, metadata.chunks)));
+	} else {
+		// A viewer for a large paste stops reading early, which fails `done`; nothing is left to clean up
+		ctx.waitUntil(done.catch(() => {}));
+	}
+
+	if (viewer) {
+		let bytes = null;
+		if ((metadata.size ?? 0) <= MAX_VIEW_BYTES) bytes = new Uint8Array(await new Response(body).arrayBuffer());
+		else await body.cancel();
+
+		const text = bytes && !metadata.bundle ? viewerText(bytes) : null;
+		const page = renderViewer({
+			id,
+			metadata,
+			text,
+			tokens: text !== null ? await countTokens(text, DEFAULT_ENCODING) : null,
+			encoding: DEFAULT_ENCODING,
+			files: bytes && metadata.bundle ? readManifest(bytes) : undefined,
+		});
+		return viewerResponse(page, metadata, corsHeaders);
+	}
+
+	return new Response(body, { headers });
+}
+
+function viewerResponse(page, metadata, corsHeaders) {
+	return new Response(page, {
 		headers: {
 			...corsHeaders,
-			'Content-Type': metadata?.contentType || 'text/plain',
+			Vary: 'Origin, Accept',
+			'Content-Type': 'text/html; charset=utf-8',
+			'Content-Security-Policy': VIEWER_CSP,
+			'Cache-Control': metadata.burn ? 'no-store' : 'private, max-age=60',
 		},
 	});
 }
 
-async function handleContext(url, corsHeaders) {
+async function handleGetBundleFile(env, ctx, url, corsHeaders) {
+	if (!env.PASTES) {
+		return new Response('KV not configured', { status: 503, headers: corsHeaders });
+	}
+
+	const [, id, rawPath] = url.pathname.match(BUNDLE_FILE_RE);
+	let path;
+	try {
+		path = decodeURIComponent(rawPath);
+	} catch {
+		return new Response('Invalid file path', { status: 400, headers: corsHeaders });
+	}
+
+	const paste = await readPaste(env.PASTES, id);
+	if (!paste || !paste.metadata.bundle) {
+		await paste?.body.cancel();
+		return new Response('Not found', { status: 404, headers: corsHeaders });
+	}
+	const { metadata } = paste;
+	let data;
+	try {
+		data = readBundleFiles(new Uint8Array(await new Response(paste.body).arrayBuffer()), path)[path];
+	} catch (error) {
+		if (!(error instanceof BundleError)) throw error;
+		return new Response(error.message, { status: error.status, headers: corsHeaders });
+	}
+	if (!data) {
+		return new Response(`No file ${path} in this bundle`, { status: 404, headers: corsHeaders });
+	}
+
+	const headers = {
+		...corsHeaders,
+		'Content-Type': bundleFileType(path, data),
+		'Content-Disposition': contentDisposition(path.split('/').pop()),
+	};
+	if (metadata.burn) {
+		// Reading any file of a burn-after-read bundle uses it up
+		headers['Cache-Control'] = 'no-store';
+		ctx.waitUntil(deletePaste(env.PASTES, id, metadata.chunks));
+	}
+	return new Response(data, { headers });
+}
+
+async function handlePasteMeta(env, url, corsHeaders) {
+	if (!env.PASTES) {
+		return new Response(JSON.stringify({ error: 'KV not configured' }), {
+			status: 503,
+			headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+		});
+	}
+
+	const id = url.pathname.slice('/paste/'.length, -'/meta'.length);
+	const metadata = await readPasteMetadata(env.PASTES, id);
+	if (!metadata) {
+		return new Response(JSON.stringify({ error: 'Not found' }), {
+			status: 404,
+			headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+		});
+	}
+
+	const { fileName, size, contentType, lastModified, createdAt, expiresAt, burn, bundle, encrypted } = metadata;
+	const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+	const details = {};
+	if (bundle) {
+		// The manifest comes from the archive's central directory; nothing is decompressed
+		const paste = await readPaste(env.PASTES, id);
+		if (paste) details.files = readManifest(new Uint8Array(await new Response(paste.body).arrayBuffer()));
+	}
+	return new Response(
+		JSON.stringify({
+			id,
+			url: `${url.origin}/paste/${id}`,
+			fileName: fileName || null,
+			size: size ?? null,
+			contentType: contentType || 'text/plain',
+			lastModified: toIso(lastModified),
+			createdAt: toIso(createdAt),
+			expiresAt: burn ? 'burn' : toIso(expiresAt) || 'never',
+			bundle: Boolean(bundle),
+			encrypted: Boolean(encrypted),
+			...details,
+		}),
+		{ headers: { ...corsHeaders, 'Content-Type': 'application/json' } },
+	);
+}
+
+/**
+ * Load a paste's metadata and check the request's management token. Returns `{ metadata, tokenHash }`
+ * (the stored hash the token matched) or `{ error }` (a Response).
+ */
+async function authorizePasteChange(request, env, id, corsHeaders) {
+	const metadata = await readPasteMetadata(env.PASTES, id);
+	if (!metadata) {
+		return { error: new Response('Not found', { status: 404, headers: corsHeaders }) };
+	}
+
+	const token = requestToken(request);
+	if (!token) {
+		return { error: new Response('Missing management token', { status: 401, headers: corsHeaders }) };
+	}
+	const tokenHash = await matchPasteToken(token, metadata);
+	if (!tokenHash) {
+		return { error: new Response('Invalid management token', { status: 403, headers: corsHeaders }) };
+	}
+	return { metadata, tokenHash };
+}
+
+async function handleUpdatePaste(request, env, url, corsHeaders) {
+	if (!env.PASTES) {
+		return new Response('KV not configured', { status: 503, headers: corsHeaders });
+	}
+
+	const id = url.pathname.slice('/paste/'.length);
+	const { metadata, tokenHash, error } = await authorizePasteChange(request, env, id, corsHeaders);
+	if (error) return error;
+
+	const upload = await readUpload(request, env, metadata.contentType || 'text/plain', corsHeaders);
+	if (upload.error) return upload.error;
+	const address = await contentAddress(upload.body);
+	const updated = { ...metadata, ...upload.metadata, hash: address.hash };
+
+	// A content-addressed ID always serves the content it was hashed from: new content moves to its
+	// own address (the response has the new URL), and the old paste is released. Random IDs are edited in place.
+	let newId = id;
+	if (!isContentAddressed(id, metadata) || address.hash === metadata.hash) {
+		await writePaste(env.PASTES, id, upload.body, updated, metadata.chunks);
+	} else {
+		const placed = await placePaste(env.PASTES, address, metadata.expiresAt ?? null, tokenHash);
+		newId = placed.id;
+		if (!placed.shared) await writePaste(env.PASTES, newId, upload.body, { ...updated, tokenHashes: [tokenHash] });
+		await releasePaste(env.PASTES, id, metadata, tokenHash);
+	}
+
+	return new Response(`${url.origin}/paste/${newId}`, {
+		headers: { ...corsHeaders, 'Content-Type': 'text/plain' },
+	});
+}
+
+async function handleDeletePaste(request, env, url, corsHeaders) {
+	if (!env.PASTES) {
+		return new Response('KV not configured', { status: 503, headers: corsHeaders });
+	}
+
+	const id = url.pathname.slice('/paste/'.length);
+	const { metadata, tokenHash, error } = await authorizePasteChange(request, env, id, corsHeaders);
+	if (error) return error;
+
+	// Other uploaders of the same content keep it; the last one deletes it
+	await releasePaste(env.PASTES, id, metadata, tokenHash);
+	return new Response(null, { status: 204, headers: corsHeaders });
+}
+
+async function handleContext(request, env, ctx, url, corsHeaders) {
 	const targetUrl = url.searchParams.get('url');
 	if (!targetUrl) {
-		return new Response(JSON.stringify({ error: 'Missing url parameter' }), {
+		return new Response(JSON.stringify({ error: 'Missing url parameter', code: 'missing_url' }), {
 			status: 400,
 			headers: { ...corsHeaders, 'Content-Type': 'application/json' },
 		});
 	}
 
+	let encoding;
 	try {
-		const response = await fetch(targetUrl, {
-			headers: { 'User-Agent': 'ContextArea/1.0' },
-			redirect: 'follow',
+		encoding = resolveEncoding({
+			model: url.searchParams.get('model'),
+			encoding: url.searchParams.get('encoding'),
 		});
+	} catch (error) {
+		return new Response(JSON.stringify({ error: error.message, code: 'invalid_tokenizer' }), {
+			status: 400,
+			headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+		});
+	}
 
-		const contentType = response.headers.get('Content-Type') || '';
-		const text = await response.text();
+	const fresh = url.searchParams.has('fresh') && url.searchParams.get('fresh') !== '0';
 
-		let title = targetUrl;
-		let description = '';
-		let type = 'unknown';
+	try {
+		const { entry, cacheStatus } = await resolveContext(env, ctx, url.origin, targetUrl, encoding, fresh);
+		const age = entryAge(entry);
+		const etag = await responseEtag(entry);
+		const headers = {
+			...corsHeaders,
+			'Content-Type': 'application/json',
+			'Cache-Control': `public, max-age=${Math.max(0, cacheTtl(env) - age)}`,
+			ETag: etag,
+			Age: String(age),
+			'X-Context-Cache': cacheStatus,
+		};
+		if (entry.lastModified) headers['Last-Modified'] = entry.lastModified;
 
-		if (contentType.includes('text/html')) {
-			return new Response(JSON.stringify({ error: 'HTML pages are not supported as context' }), {
-				headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-			});
-		} else if (contentType.includes('application/json')) {
-			type = 'json';
-		} else if (contentType.includes('text/')) {
-			type = 'text';
-		} else {
-			type = contentType.split('/')[1] || 'binary';
+		if (!fresh && request.headers.get('If-None-Match') === etag) {
+			return new Response(null, { status: 304, headers });
 		}
 
-		const tokens = Math.ceil(text.length / 4);
-
-		return new Response(JSON.stringify({ title, type, tokens, description, content: text }), {
+		return new Response(JSON.stringify(contextPayload(entry, cacheStatus)), { headers });
+	} catch (error) {
+		const { status, body } = contextError(error);
+		return new Response(JSON.stringify(body), {
+			status,
 			headers: { ...corsHeaders, 'Content-Type': 'application/json' },
 		});
+	}
+}
+
+const MAX_BATCH_URLS = 50;
+const BATCH_CONCURRENCY = 6;
+const BATCH_PER_HOST = 2;
+
+function jsonError(status, error, code, corsHeaders) {
+	return new Response(JSON.stringify({ error, code }), {
+		status,
+		headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+	});
+}
+
+async function handleContextBatch(request, env, ctx, url, corsHeaders) {
+	let body;
+	try {
+		body = await request.json();
+	} catch {
+		return jsonError(400, 'Request body must be JSON: { "urls": [...] }', 'invalid_json', corsHeaders);
+	}
+	const urls = Array.isArray(body?.urls) ? [...new Set(body.urls.filter((u) => typeof u === 'string' && u))] : [];
+	if (!urls.length) return jsonError(400, 'Missing urls array', 'missing_urls', corsHeaders);
+	if (urls.length > MAX_BATCH_URLS) return jsonError(400, `At most ${MAX_BATCH_URLS} URLs per batch`, 'too_many_urls', corsHeaders);
+
+	let encoding;
+	try {
+		encoding = resolveEncoding({ model: body.model, encoding: body.encoding });
 	} catch (error) {
-		return new Response(JSON.stringify({ error: error.message }), {
-			status: 500,
-			headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+		return jsonError(400, error.message, 'invalid_tokenizer', corsHeaders);
+	}
+
+	const resolved = await resolveMany(env, ctx, url.origin, urls, encoding, Boolean(body.fresh));
+	const results = {};
+	for (const [targetUrl, { entry, cacheStatus, error }] of resolved) {
+		results[targetUrl] = error || contextPayload(entry, cacheStatus);
+	}
+
+	return new Response(JSON.stringify({ results }), {
+		headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+	});
+}
+
+/**
+ * Resolve `urls` with bounded concurrency (overall and per host). Resolves to a Map, in input
+ * order, of URL → `{ entry, cacheStatus }` or `{ error: { error, code } }`.
+ */
+async function resolveMany(env, ctx, origin, urls, encoding, fresh) {
+	const resolved = new Map(urls.map((u) => [u, null]));
+	const hostOf = (u) => {
+		try {
+			return new URL(u).host;
+		} catch {
+			return u;
+		}
+	};
+	await forEachLimited(urls, { concurrency: BATCH_CONCURRENCY, perKey: BATCH_PER_HOST, keyOf: hostOf }, async (targetUrl) => {
+		try {
+			resolved.set(targetUrl, await resolveContext(env, ctx, origin, targetUrl, encoding, fresh));
+		} catch (error) {
+			resolved.set(targetUrl, { error: contextError(error).body });
+		}
+	});
+	return resolved;
+}
+
+function escapeAttribute(value) {
+	return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function contextBlockOpening(targetUrl, entry, truncated) {
+	const attrs = { url: targetUrl, title: entry.title, type: entry.type };
+	if (truncated) attrs.truncated = 'true';
+	return `<context ${Object.entries(attrs)
+		.filter(([, v]) => v)
+		.map(([k, v]) => `${k}="${escapeAttribute(v)}"`)
+		.join(' ')}>`;
+}
+
+const MAX_TEXT_BYTES = 1024 * 1024; // request bodies of /compile and /tokens, whose text is tokenized whole
+
+/**
+ * Read the JSON body `{ text, … }` of /compile or /tokens, refusing bodies over MAX_TEXT_BYTES
+ * (413, `text_too_large`) before tokenizing anything. Returns `{ body }` or `{ error }` (a Response).
+ */
+async function readTextRequest(request, usage, corsHeaders) {
+	const bytes = await readPasteBody(request, MAX_TEXT_BYTES);
+	if (!bytes) return { error: jsonError(413, `Request body exceeds ${MAX_TEXT_BYTES} bytes`, 'text_too_large', corsHeaders) };
+	let body;
+	try {
+		body = JSON.parse(new TextDecoder().decode(bytes));
+	} catch {
+		return { error: jsonError(400, `Request body must be JSON: ${usage}`, 'invalid_json', corsHeaders) };
+	}
+	if (typeof body?.text !== 'string') return { error: jsonError(400, 'Missing text', 'missing_text', corsHeaders) };
+	return { body };
+}
+
+async function handleCompile(request, env, ctx, url, corsHeaders) {
+	const { body, error } = await readTextRequest(request, '{ "text": "...", "budget"?: number }', corsHeaders);
+	if (error) return error;
+
+	const budget = body.budget ?? null;
+	if (budget !== null && !(Number.isInteger(budget) && budget > 0)) {
+		return jsonError(400, 'budget must be a positive integer (tokens)', 'invalid_budget', corsHeaders);
+	}
+
+	let encoding;
+	try {
+		encoding = resolveEncoding({ model: body.model, encoding: body.encoding });
+	} catch (error) {
+		return jsonError(400, error.message, 'invalid_tokenizer', corsHeaders);
+	}
+
+	const text = body.text;
+	const references = findReferences(text);
+	const urls = [...references.keys()];
+	if (urls.length > MAX_BATCH_URLS) {
+		return jsonError(400, `At most ${MAX_BATCH_URLS} distinct references per document`, 'too_many_urls', corsHeaders);
+	}
+
+	const resolved = await resolveMany(env, ctx, url.origin, urls, encoding, Boolean(body.fresh));
+
+	// References are included in order of first appearance until the budget runs out
+	let used = await countTokens(text, encoding);
+	const blocks = [];
+	const report = [];
+	for (const targetUrl of urls) {
+		const { entry, error } = resolved.get(targetUrl);
+		const item = { url: targetUrl, occurrences: references.get(targetUrl).length };
+		if (error) {
+			report.push({ ...item, status: 'failed', ...error });
+			continue;
+		}
+		Object.assign(item, { title: entry.title, type: entry.type, tokens: entry.tokens });
+		if (!entry.content) {
+			report.push({ ...item, status: 'omitted', reason: 'no_content', includedTokens: 0 });
+			continue;
+		}
+
+		let content = entry.content;
+		let truncated = false;
+		if (budget !== null) {
+			const overhead = await countTokens(`\n\n${contextBlockOpening(targetUrl, entry, true)}\n\n</context>`, encoding);
+			const remaining = budget - used - overhead;
+			if (remaining <= 0) {
+				report.push({ ...item, status: 'omitted', reason: 'budget', includedTokens: 0 });
+				continue;
+			}
+			if (entry.tokens > remaining) {
+				content = await truncateToTokens(content, remaining, encoding);
+				truncated = true;
+			}
+		}
+
+		const block = `${contextBlockOpening(targetUrl, entry, truncated)}\n${content}\n</context>`;
+		used += await countTokens(`\n\n${block}`, encoding);
+		blocks.push(block);
+		report.push({
+			...item,
+			status: truncated ? 'truncated' : 'included',
+			includedTokens: truncated ? await countTokens(content, encoding) : entry.tokens,
 		});
 	}
+
+	const prompt = [text, ...blocks].join('\n\n');
+	return new Response(
+		JSON.stringify({
+			prompt,
+			tokens: await countTokens(prompt, encoding),
+			budget,
+			encoding,
+			references: report,
+		}),
+		{ headers: { ...corsHeaders, 'Content-Type': 'application/json' } },
+	);
+}
+
+async function handleTokens(request, corsHeaders) {
+	const { body, error } = await readTextRequest(request, '{ "text": "..." }', corsHeaders);
+	if (error) return error;
+
+	let encoding;
+	try {
+		encoding = resolveEncoding({ model: body.model, encoding: body.encoding });
+	} catch (error) {
+		return jsonError(400, error.message, 'invalid_tokenizer', corsHeaders);
+	}
+
+	return new Response(JSON.stringify({ tokens: await countTokens(body.text, encoding), encoding }), {
+		headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+	});
+}
+
+/**
+ * Analyze one URL through the edge cache. Resolves to `{ entry, cacheStatus }` where
+ * `cacheStatus` is 'hit', 'miss' or 'revalidated'. The whole document is cached; a selector
+ * fragment (`#L10-L40`, `#$.path`) narrows `content` and `tokens` afterwards.
+ * Throws PolicyError / ExtractionError / SelectorError on rejection.
+ */
+async function resolveContext(env, ctx, origin, targetUrl, encoding, fresh) {
+	const policy = contextPolicy(env);
+	checkUrl(targetUrl, policy);
+	const { url: documentUrl, selector } = splitSelector(targetUrl);
+
+	let entry = fresh ? null : await readEntry(origin, documentUrl, encoding);
+	let cacheStatus = 'hit';
+
+	if (!entry || entryAge(entry) >= cacheTtl(env)) {
+		const result = await analyzeUrl(env, origin, documentUrl, encoding, policy, entry);
+		cacheStatus = entry && result === entry ? 'revalidated' : 'miss';
+		entry = { ...result, fetchedAt: Date.now() };
+		if (entry.cacheable) ctx.waitUntil(writeEntry(origin, documentUrl, encoding, entry));
+	}
+
+	const { content, selection } = applySelector(entry.content, entry.type, selector);
+	if (selection) {
+		entry = { ...entry, content, selection, tokens: await countTokens(content, encoding) };
+	}
+	return { entry, cacheStatus };
+}
+
+/** Client-facing JSON for a cache entry. */
+function contextPayload(entry, cacheStatus) {
+	const { fetchedAt, cacheable, ...data } = entry;
+	return { ...data, cache: cacheStatus, age: entryAge(entry), fetchedAt: new Date(fetchedAt).toISOString() };
+}
+
+/** HTTP status and `{ error, code }` body for a failed lookup. */
+function contextError(error) {
+	const known =
+		error instanceof PolicyError || error instanceof ExtractionError || error instanceof SelectorError || error instanceof BundleError;
+	return {
+		status: known ? error.status : 502,
+		body: {
+			error: error.message,
+			code: known ? error.code : 'fetch_failed',
+			...(error.upstreamStatus && { status: error.upstreamStatus }),
+		},
+	};
+}
+
+// Non-text/* types whose bodies are still worth reading as text
+const TEXTUAL_TYPE_RE =
+	/^application\/(?:[\w.-]+\+)?(?:json|xml|javascript|ecmascript|yaml|x-yaml|toml|x-sh|sql|graphql|x-ndjson)\b|^image\/svg\+xml\b/i;
+
+/**
+ * Fetch and analyze `targetUrl` under the outbound `policy`, after passing it through the
+ * resolvers (see resolvers.js). When `previous` (a cached entry) is given, the request is
+ * conditional and a 304 from upstream returns `previous` itself.
+ */
+async function analyzeUrl(env, origin, targetUrl, encoding, policy, previous) {
+	const resolved = await resolveUrl(targetUrl, { env, policy, origin, encoding });
+	if (resolved?.content !== undefined) {
+		return {
+			title: resolved.title || targetUrl,
+			type: resolved.type,
+			tokens: await countTokens(resolved.content, encoding),
+			encoding,
+			description: resolved.description || '',
+			content: resolved.content,
+			extraction: 'text',
+			...resolved.details,
+			resolver: resolved.resolver,
+			etag: null,
+			lastModified: null,
+			cacheable: true,
+		};
+	}
+
+	const { response, url: finalUrl } = await policyFetch(
+		resolved?.url || targetUrl,
+		{ headers: { 'User-Agent': 'ContextArea/1.0', ...validatorHeaders(previous) } },
+		policy,
+	);
+
+	if (response.status === 304 && previous) return previous;
+	if (!response.ok) throw new UpstreamError(response.status);
+
+	const contentType = response.headers.get('Content-Type') || '';
+	const bytes = await response.arrayBuffer();
+
+	let title = targetUrl;
+	let description = '';
+	let type = 'unknown';
+	let text = '';
+	// How `content` was derived: 'html', 'pdf', 'docx', 'image' (metadata only), 'text' or 'none'
+	let extraction = 'text';
+	const details = {};
+
+	const extractor = extractorFor(contentType, finalUrl);
+	if (extractor === 'pdf' || extractor === 'docx') {
+		let doc;
+		try {
+			doc = extractor === 'pdf' ? await extractPdf(bytes) : extractDocx(bytes);
+		} catch (error) {
+			if (error instanceof ExtractionError) throw error;
+			throw new ExtractionError(`Could not extract text from ${extractor.toUpperCase()}: ${error.message}`);
+		}
+		type = extractor;
+		extraction = extractor;
+		title = doc.title || targetUrl;
+		text = doc.text;
+		if (doc.pages) details.pages = doc.pages;
+	} else if (extractor === 'image') {
+		const image = imageInfo(bytes, contentType);
+		type = image.format || 'image';
+		extraction = 'image';
+		details.image = image;
+		description = [`${(image.format || 'unknown').toUpperCase()} image`, image.width && `${image.width}×${image.height} px`]
+			.filter(Boolean)
+			.join(', ');
+	} else if (contentType.includes('text/html') || contentType.includes('application/xhtml')) {
+		const page = htmlToMarkdown(new TextDecoder().decode(bytes), finalUrl);
+		type = 'html';
+		extraction = 'html';
+		title = page.title || targetUrl;
+		description = page.description;
+		text = page.markdown;
+	} else if (contentType.includes('application/json')) {
+		type = 'json';
+		text = new TextDecoder().decode(bytes);
+	} else if (contentType.includes('text/')) {
+		type = 'text';
+		text = new TextDecoder().decode(bytes);
+	} else if (!contentType || TEXTUAL_TYPE_RE.test(contentType)) {
+		type = (contentType.split(';')[0].split('/')[1] || '').split('+').pop().trim() || 'text';
+		text = new TextDecoder().decode(bytes);
+	} else {
+		// Opaque binary: nothing meaningful to count or inline
+		type = contentType.split('/')[1] || 'binary';
+		extraction = 'none';
+	}
+
+	if (resolved) {
+		title = resolved.title || title;
+		description = resolved.description || description;
+		details.resolver = resolved.resolver;
+	}
+
+	const tokens = await countTokens(text, encoding);
+
+	return {
+		title,
+		type,
+		tokens,
+		encoding,
+		description,
+		content: text,
+		extraction,
+		...details,
+		etag: response.headers.get('ETag'),
+		lastModified: response.headers.get('Last-Modified'),
+		// Responses meant for one reader only, like a burn-after-read paste, stay out of the shared cache
+		cacheable: response.ok && !/\bno-store\b/i.test(response.headers.get('Cache-Control') || ''),
+	};
 }
@@ -0,0 +1,26 @@
+// Plain-text file listings, shared by the GitHub resolver and bundle pastes.
+
+export function formatSize(bytes) {
+	if (bytes < 1024) return `${bytes} B`;
+	if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+	return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Indented tree of `files` (`{ path, size }`, `/`-separated paths), directories first
+ * appearing where their first file does. `describe(file)` gives the note after each name.
+ */
+export function renderTree(files, describe = (file) => formatSize(file.size || 0)) {
+	const lines = [];
+	let previous = [];
+	for (const file of [...files].sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0))) {
+		const parts = file.path.split('/');
+		const dirs = parts.slice(0, -1);
+		let common = 0;
+		while (common < dirs.length && dirs[common] === previous[common]) common++;
+		for (let i = common; i < dirs.length; i++) lines.push(`${'  '.repeat(i)}${dirs[i]}/`);
+		lines.push(`${'  '.repeat(dirs.length)}${parts[parts.length - 1]} (${describe(file)})`);
+		previous = dirs;
+	}
+	return lines.join('\n');
+}
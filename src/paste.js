@@ -0,0 +1,279 @@
+// Paste storage and lifecycle helpers: content-addressed IDs, chunked KV
+// storage, expiry choices and management tokens.
+//
+// A paste lives under its ID; bodies larger than one KV value are split, with
+// the first chunk under the ID and the rest under `<id>:1`, `<id>:2`, …
+
+const CHUNK_SIZE = 20 * 1024 * 1024; // KV values are limited to 25 MiB
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+const ID_LENGTH = 22; // 132 bits of the SHA-256 digest
+const MAX_TOKEN_HOLDERS = 5;
+
+// KV metadata is capped at 1024 bytes of JSON. Every field but the file name and content type
+// takes at most 606 bytes, 335 of them for the token hashes of MAX_TOKEN_HOLDERS holders; the
+// caps below keep the worst case at 989.
+const MAX_FILE_NAME_BYTES = 255; // UTF-8, as JSON-encoded
+const MAX_CONTENT_TYPE_LENGTH = 128;
+const CONTENT_TYPE_RE = /^[\w!#$&^.+-]+\/[\w!#$&^.+-]+(?:\s*;[\x20-\x7e]*)?$/;
+
+const EXPIRY_UNITS = { m: 60, h: 3600, d: 86400, w: 604800 };
+const MIN_TTL = 60; // KV rejects shorter expirations
+const MAX_TTL = 86400 * 365;
+
+export const DEFAULT_EXPIRY = '30d';
+
+/**
+ * Parse an expiry choice: a duration like `10m`, `1h`, `7d`, `2w`, or `never`, or `burn`
+ * (deleted on first read, otherwise kept for the default duration).
+ * Returns `{ expiresAt, burn }` with `expiresAt` in ms since epoch (null for never), or null when invalid.
+ */
+export function parseExpiry(value) {
+	const choice = (value || DEFAULT_EXPIRY).trim().toLowerCase();
+	if (choice === 'never') return { expiresAt: null, burn: false };
+	if (choice === 'burn') return { ...parseExpiry(DEFAULT_EXPIRY), burn: true };
+
+	const m = choice.match(/^(\d+)([mhdw])$/);
+	if (!m) return null;
+	const ttl = Number(m[1]) * EXPIRY_UNITS[m[2]];
+	if (ttl < MIN_TTL || ttl > MAX_TTL) return null;
+	return { expiresAt: Date.now() + ttl * 1000, burn: false };
+}
+
+/** KV put options that keep the paste alive until `expiresAt`. */
+export function expirationOptions(expiresAt) {
+	if (!expiresAt) return {};
+	return { expiration: Math.max(Math.floor(expiresAt / 1000), Math.floor(Date.now() / 1000) + MIN_TTL) };
+}
+
+function toHex(buffer) {
+	return [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function toBase64Url(buffer) {
+	return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_')
+		.replace(/=+$/, '');
+}
+
+/** A fresh management token. Only its hash is stored. */
+export function generateToken() {
+	return toBase64Url(crypto.getRandomValues(new Uint8Array(24)));
+}
+
+export async function hashToken(token) {
+	return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token)));
+}
+
+/** Token from `Authorization: Bearer …` or `X-Paste-Token`, or null. */
+export function requestToken(request) {
+	const auth = request.headers.get('Authorization') || '';
+	const bearer = auth.match(/^Bearer\s+(.+)$/i);
+	return bearer ? bearer[1].trim() : request.headers.get('X-Paste-Token');
+}
+
+export async function verifyToken(token, tokenHash) {
+	if (!token || !tokenHash) return false;
+	const a = new TextEncoder().encode(await hashToken(token));
+	const b = new TextEncoder().encode(tokenHash);
+	return a.byteLength === b.byteLength && crypto.subtle.timingSafeEqual(a, b);
+}
+
+/** The stored hash among a paste's `tokenHashes` that `token` matches, or null. */
+export async function matchPasteToken(token, metadata) {
+	for (const tokenHash of metadata.tokenHashes || []) {
+		if (await verifyToken(token, tokenHash)) return tokenHash;
+	}
+	return null;
+}
+
+// ── storage ──────────────────────────────────────────────────────────
+
+/** Maximum paste size in bytes, from `PASTE_MAX_BYTES` (default 50 MB). */
+export function maxPasteBytes(env) {
+	const n = Number(env.PASTE_MAX_BYTES);
+	return env.PASTE_MAX_BYTES !== undefined && Number.isFinite(n) && n > 0 ? n : DEFAULT_MAX_BYTES;
+}
+
+/** Bytes `text` takes in the metadata JSON, without its quotes. */
+function jsonStringBytes(text) {
+	return new TextEncoder().encode(JSON.stringify(text)).byteLength - 2;
+}
+
+/** Shorten a file name to MAX_FILE_NAME_BYTES, keeping its last 20 characters (and so its extension). */
+function capFileName(name) {
+	if (jsonStringBytes(name) <= MAX_FILE_NAME_BYTES) return name;
+	const chars = [...name];
+	const tail = chars.slice(-20).join('');
+	const head = chars.slice(0, -20).slice(0, MAX_FILE_NAME_BYTES);
+	while (head.length && jsonStringBytes(head.join('') + tail) > MAX_FILE_NAME_BYTES) head.pop();
+	return head.join('') + tail;
+}
+
+/** Whether an upload's `Content-Type` can be kept in the metadata: a media type, at most MAX_CONTENT_TYPE_LENGTH long. */
+export function validContentType(contentType) {
+	return contentType.length <= MAX_CONTENT_TYPE_LENGTH && CONTENT_TYPE_RE.test(contentType);
+}
+
+/**
+ * File details sent with an upload (`X-File-Name`, URI-encoded, and `X-File-Last-Modified`, ms since epoch).
+ * Returns only the fields present, ready to merge into the paste metadata.
+ */
+export function uploadFileInfo(request) {
+	const info = {};
+	const name = request.headers.get('X-File-Name');
+	if (name) {
+		try {
+			info.fileName = decodeURIComponent(name);
+		} catch {
+			info.fileName = name;
+		}
+		info.fileName = capFileName(info.fileName.replace(/[\\/]/g, '_'));
+	}
+	const lastModified = Number(request.headers.get('X-File-Last-Modified'));
+	if (Number.isSafeInteger(lastModified) && lastModified > 0) info.lastModified = lastModified;
+	return info;
+}
+
+/** `Content-Disposition` value that suggests `fileName`, displayed inline or (`attachment`) downloaded. */
+export function contentDisposition(fileName, disposition = 'inline') {
+	const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+	return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+/** Read the request body, or return null when it is larger than `maxBytes`. */
+export async function readPasteBody(request, maxBytes) {
+	if (Number(request.headers.get('Content-Length')) > maxBytes) return null;
+	const body = new Uint8Array(await request.arrayBuffer());
+	return body.byteLength > maxBytes ? null : body;
+}
+
+/**
+ * Content address of a body: `{ id, hash }`, where `hash` is the full SHA-256 (base64url)
+ * and `id` its prefix. Callers fall back to the full hash if the prefix is taken by other content.
+ */
+export async function contentAddress(body) {
+	const hash = toBase64Url(await crypto.subtle.digest('SHA-256', body));
+	return { id: hash.slice(0, ID_LENGTH), hash };
+}
+
+/** An unguessable ID for pastes that must not be shared between uploads (burn after reading). */
+export function randomId() {
+	return toBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+/** Whether `id` is the content address of the paste's current content (rather than a random ID). */
+export function isContentAddressed(id, metadata) {
+	return Boolean(metadata.hash) && (id === metadata.hash || id === metadata.hash.slice(0, ID_LENGTH));
+}
+
+/**
+ * Find where content with `address` (from contentAddress) lives or should be stored.
+ * Resolves to `{ id, existing }`; `existing` is the stored metadata when the same content is already there.
+ */
+export async function locatePaste(kv, address) {
+	for (const id of [address.id, address.hash]) {
+		const existing = await readPasteMetadata(kv, id);
+		if (!existing) return { id, existing: null };
+		if (existing.hash === address.hash) return { id, existing };
+		// Taken by other content (a prefix collision, or a paste edited since): try the full hash
+	}
+	return { id: randomId(), existing: null };
+}
+
+/**
+ * Where a new upload of content `address`, kept until `expiresAt`, goes. Identical content that
+ * lives at least as long is shared: `tokenHash` becomes one more of its management tokens, and
+ * `{ id, shared }` has its metadata. Otherwise `{ id }` is a free ID for a new paste.
+ */
+export async function placePaste(kv, address, expiresAt, tokenHash) {
+	const { id, existing } = await locatePaste(kv, address);
+	if (!existing) return { id, shared: null };
+
+	const tokenHashes = existing.tokenHashes || [];
+	const outlasts = !existing.expiresAt || (expiresAt !== null && existing.expiresAt >= expiresAt);
+	// A paste that would expire first, or already has the most holders KV metadata allows, is not shared
+	if (!outlasts || existing.burn || tokenHashes.length >= MAX_TOKEN_HOLDERS) return { id: randomId(), shared: null };
+
+	const shared = { ...existing, tokenHashes: [...tokenHashes, tokenHash] };
+	if (!(await updatePasteMetadata(kv, id, shared))) return { id: randomId(), shared: null };
+	return { id, shared };
+}
+
+/**
+ * Give up the management token `tokenHash` of a paste. Other uploaders of the same content keep
+ * theirs, and with them the paste; the last holder deletes it.
+ */
+export async function releasePaste(kv, id, metadata, tokenHash) {
+	const tokenHashes = (metadata.tokenHashes || []).filter((hash) => hash !== tokenHash);
+	if (tokenHashes.length && (await updatePasteMetadata(kv, id, { ...metadata, tokenHashes }))) return;
+	await deletePaste(kv, id, metadata.chunks);
+}
+
+function chunkKey(id, index) {
+	return index === 0 ? id : `${id}:${index}`;
+}
+
+/**
+ * Store `body` under `id`, splitting it across KV values when needed.
+ * Chunks left over from a larger previous version (`previousChunks`) are removed.
+ */
+export async function writePaste(kv, id, body, metadata, previousChunks = 1) {
+	const chunks = Math.max(1, Math.ceil(body.byteLength / CHUNK_SIZE));
+	const options = expirationOptions(metadata.expiresAt);
+
+	// Tail chunks first, so the head never points at chunks that are not there yet
+	for (let i = chunks - 1; i > 0; i--) {
+		await kv.put(chunkKey(id, i), body.subarray(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE), options);
+	}
+	await kv.put(id, body.subarray(0, CHUNK_SIZE), { ...options, metadata: { ...metadata, size: body.byteLength, chunks } });
+
+	for (let i = chunks; i < previousChunks; i++) await kv.delete(chunkKey(id, i));
+}
+
+/** Replace the metadata of a stored paste, keeping its body. Resolves to false when it no longer exists. */
+export async function updatePasteMetadata(kv, id, metadata) {
+	const head = await kv.get(id, { type: 'arrayBuffer' });
+	if (!head) return false;
+	await kv.put(id, head, { ...expirationOptions(metadata.expiresAt), metadata });
+	return true;
+}
+
+/** Metadata of a stored paste, or null if it does not exist. */
+export async function readPasteMetadata(kv, id) {
+	const { value, metadata } = await kv.getWithMetadata(id, { type: 'stream' });
+	if (!value) return null;
+	await value.cancel();
+	return metadata || {};
+}
+
+/**
+ * Open a stored paste. Resolves to `{ body, metadata, done }` (or null), where `body` streams
+ * all chunks in order and `done` settles once they have been read.
+ */
+export async function readPaste(kv, id) {
+	const { value, metadata } = await kv.getWithMetadata(id, { type: 'stream' });
+	if (!value) return null;
+
+	const chunks = metadata?.chunks || 1;
+	if (chunks === 1) return { body: value, metadata: metadata || {}, done: Promise.resolve() };
+
+	const { readable, writable } = new TransformStream();
+	const done = (async () => {
+		await value.pipeTo(writable, { preventClose: true });
+		for (let i = 1; i < chunks; i++) {
+			const part = await kv.get(chunkKey(id, i), { type: 'stream' });
+			if (!part) {
+				await writable.abort(new Error(`Missing chunk ${i} of paste ${id}`));
+				return;
+			}
+			await part.pipeTo(writable, { preventClose: true });
+		}
+		await writable.close();
+	})();
+	return { body: readable, metadata, done };
+}
+
+export async function deletePaste(kv, id, chunks = 1) {
+	await Promise.all(Array.from({ length: chunks }, (_, i) => kv.delete(chunkKey(id, i))));
+}
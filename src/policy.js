@@ -0,0 +1,232 @@
+// Outbound fetch policy for the /context proxy.
+//
+// Configured through env vars:
+//   CONTEXT_ALLOWED_DOMAINS   comma-separated patterns; when set, only these hosts are fetched
+//   CONTEXT_BLOCKED_DOMAINS   comma-separated patterns that are always refused
+//   CONTEXT_MAX_BYTES         maximum upstream body size (default 5 MB)
+//   CONTEXT_FETCH_TIMEOUT_MS  upstream timeout, covering redirects and body (default 10 s)
+//
+// A pattern is either an exact host (`example.com`) or a wildcard for its
+// subdomains (`*.example.com`). Loopback, private, link-local and metadata
+// targets are refused regardless of the lists. Hosts are checked by name and
+// literal address only; DNS answers are not inspected.
+
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_TIMEOUT_MS = 10_000;
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const NULL_BODY_STATUSES = new Set([204, 205, 304]);
+const BLOCKED_HOSTNAMES = new Set(['localhost', 'metadata', 'metadata.google.internal', 'instance-data']);
+const BLOCKED_SUFFIXES = ['.localhost', '.local', '.internal', '.home.arpa'];
+
+export class PolicyError extends Error {
+	constructor(code, message, status = 403) {
+		super(message);
+		this.name = 'PolicyError';
+		this.code = code;
+		this.status = status;
+	}
+}
+
+/** A non-2xx answer from upstream, reported with its `status` rather than passed on as content. */
+export class UpstreamError extends PolicyError {
+	constructor(status) {
+		super('upstream_status', `Upstream responded with HTTP ${status}`, 502);
+		this.name = 'UpstreamError';
+		this.upstreamStatus = status;
+	}
+}
+
+function parseList(value) {
+	return (value || '')
+		.split(',')
+		.map((p) => p.trim().toLowerCase())
+		.filter(Boolean);
+}
+
+function positiveNumber(value, fallback) {
+	const n = Number(value);
+	return value !== undefined && Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export function contextPolicy(env) {
+	return {
+		allow: parseList(env.CONTEXT_ALLOWED_DOMAINS),
+		deny: parseList(env.CONTEXT_BLOCKED_DOMAINS),
+		maxBytes: positiveNumber(env.CONTEXT_MAX_BYTES, DEFAULT_MAX_BYTES),
+		timeoutMs: positiveNumber(env.CONTEXT_FETCH_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+	};
+}
+
+function matchesPattern(host, pattern) {
+	if (pattern.startsWith('*.')) return host.endsWith(pattern.slice(1));
+	return host === pattern;
+}
+
+function parseIpv4(host) {
+	const parts = host.split('.');
+	if (parts.length !== 4 || !parts.every((p) => /^\d{1,3}$/.test(p))) return null;
+	const octets = parts.map(Number);
+	return octets.every((o) => o <= 255) ? octets : null;
+}
+
+function isPrivateIpv4([a, b]) {
+	return (
+		a === 0 || // "this" network
+		a === 10 ||
+		a === 127 ||
+		(a === 100 && b >= 64 && b <= 127) || // carrier-grade NAT
+		(a === 169 && b === 254) || // link-local, cloud metadata
+		(a === 172 && b >= 16 && b <= 31) ||
+		(a === 192 && b === 168) ||
+		(a === 192 && b === 0) ||
+		(a === 198 && (b === 18 || b === 19)) || // benchmarking
+		a >= 224 // multicast and reserved
+	);
+}
+
+/** The eight 16-bit groups of an IPv6 address (an IPv4 tail is allowed), or null when it is not one. */
+function parseIpv6(addr) {
+	let text = addr;
+	const dotted = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+	if (dotted) {
+		const octets = parseIpv4(dotted[2]);
+		if (!octets) return null;
+		text = `${dotted[1]}${((octets[0] << 8) | octets[1]).toString(16)}:${((octets[2] << 8) | octets[3]).toString(16)}`;
+	}
+	const halves = text.split('::');
+	if (halves.length > 2) return null;
+	const head = halves[0] ? halves[0].split(':') : [];
+	const tail = halves[1] ? halves[1].split(':') : [];
+	const fill = 8 - head.length - tail.length;
+	if (halves.length === 2 ? fill < 1 : fill !== 0) return null;
+	const groups = [...head, ...Array(halves.length === 2 ? fill : 0).fill('0'), ...tail];
+	if (!groups.every((g) => /^[0-9a-f]{1,4}$/.test(g))) return null;
+	return groups.map((g) => parseInt(g, 16));
+}
+
+function isPrivateIpv6(host) {
+	const groups = parseIpv6(host.replace(/^\[|\]$/g, '').toLowerCase());
+	if (!groups) return true; // not an address we understand: refuse rather than guess
+	const [a, b, c, d, e, f, g, h] = groups;
+	const embedded = (hi, lo) => [hi >> 8, hi & 255, lo >> 8, lo & 255];
+
+	if ((a & 0xfe00) === 0xfc00) return true; // unique local
+	if ((a & 0xffc0) === 0xfe80) return true; // link-local
+	if (a >> 8 === 0xff) return true; // multicast
+
+	// Addresses that carry an IPv4 address are judged by it: IPv4-mapped (::ffff:a.b.c.d) and
+	// IPv4-compatible (::a.b.c.d, which covers :: and ::1), NAT64 (64:ff9b::a.b.c.d) and 6to4 (2002:aabb:ccdd::)
+	if (!a && !b && !c && !d && !e && (f === 0xffff || f === 0)) return isPrivateIpv4(embedded(g, h));
+	if (a === 0x64 && b === 0xff9b) return Boolean(c || d || e || f) || isPrivateIpv4(embedded(g, h)); // also local-use 64:ff9b:1::/48
+	if (a === 0x2002) return isPrivateIpv4(embedded(b, c));
+	return false;
+}
+
+/** Validate a single URL against the policy. Returns the parsed URL or throws a PolicyError. */
+export function checkUrl(rawUrl, policy) {
+	let target;
+	try {
+		target = new URL(rawUrl);
+	} catch {
+		throw new PolicyError('invalid_url', `Invalid URL: ${rawUrl}`, 400);
+	}
+	if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+		throw new PolicyError('unsupported_protocol', `Unsupported protocol: ${target.protocol}`, 400);
+	}
+	if (target.username || target.password) {
+		throw new PolicyError('credentials_in_url', 'URLs with embedded credentials are not fetched', 400);
+	}
+
+	const host = target.hostname.toLowerCase().replace(/\.$/, '');
+	const ipv4 = parseIpv4(host);
+	if (
+		BLOCKED_HOSTNAMES.has(host) ||
+		BLOCKED_SUFFIXES.some((s) => host.endsWith(s)) ||
+		(ipv4 && isPrivateIpv4(ipv4)) ||
+		(host.includes(':') && isPrivateIpv6(host))
+	) {
+		throw new PolicyError('private_address', `Refusing to fetch private or loopback address: ${host}`);
+	}
+	if (policy.deny.some((p) => matchesPattern(host, p))) {
+		throw new PolicyError('domain_blocked', `Domain is blocked: ${host}`);
+	}
+	if (policy.allow.length && !policy.allow.some((p) => matchesPattern(host, p))) {
+		throw new PolicyError('domain_not_allowed', `Domain is not on the allowlist: ${host}`);
+	}
+	return target;
+}
+
+async function readLimited(response, maxBytes) {
+	const declared = Number(response.headers.get('Content-Length'));
+	if (declared > maxBytes) {
+		await response.body?.cancel();
+		throw new PolicyError('response_too_large', `Response exceeds ${maxBytes} bytes`, 413);
+	}
+	if (!response.body) return new Uint8Array(0);
+
+	const reader = response.body.getReader();
+	const chunks = [];
+	let size = 0;
+	for (;;) {
+		const { done, value } = await reader.read();
+		if (done) break;
+		size += value.byteLength;
+		if (size > maxBytes) {
+			await reader.cancel();
+			throw new PolicyError('response_too_large', `Response exceeds ${maxBytes} bytes`, 413);
+		}
+		chunks.push(value);
+	}
+
+	const body = new Uint8Array(size);
+	let offset = 0;
+	for (const chunk of chunks) {
+		body.set(chunk, offset);
+		offset += chunk.byteLength;
+	}
+	return body;
+}
+
+/**
+ * Fetch `rawUrl` under the policy, following redirects manually so every hop is checked.
+ * Resolves to `{ response, url }`, where `response` holds the fully buffered (size-limited) body
+ * and `url` is the final URL after redirects.
+ */
+export async function policyFetch(rawUrl, init, policy) {
+	const controller = new AbortController();
+	const timer = setTimeout(() => controller.abort(), policy.timeoutMs);
+
+	try {
+		let target = checkUrl(rawUrl, policy);
+		for (let hop = 0; ; hop++) {
+			const response = await fetch(target.href, { ...init, redirect: 'manual', signal: controller.signal });
+			const location = response.headers.get('Location');
+
+			if (REDIRECT_STATUSES.has(response.status) && location) {
+				await response.body?.cancel();
+				if (hop >= MAX_REDIRECTS) {
+					throw new PolicyError('too_many_redirects', `More than ${MAX_REDIRECTS} redirects`, 502);
+				}
+				target = checkUrl(new URL(location, target).href, policy);
+				continue;
+			}
+
+			const body = await readLimited(response, policy.maxBytes);
+			return {
+				response: new Response(NULL_BODY_STATUSES.has(response.status) ? null : body, {
+					status: response.status,
+					headers: response.headers,
+				}),
+				url: target.href,
+			};
+		}
+	} catch (error) {
+		if (controller.signal.aborted) {
+			throw new PolicyError('fetch_timeout', `Upstream did not respond within ${policy.timeoutMs} ms`, 504);
+		}
+		throw error;
+	} finally {
+		clearTimeout(timer);
+	}
+}
@@ -0,0 +1,54 @@
+// Reference detection for /compile. Mirrors `_updateUrlDecorations` in
+// public/contextarea.js: markdown links first, then bare URLs outside them.
+
+const URL_REGEX = /(https?:\/\/[^\s]+)/g;
+const MD_LINK_REGEX = /\[([^\]]*)\]\((https?:\/\/[^\s)]+)\)/g;
+
+/** Strip trailing punctuation from a bare URL, keeping closing brackets that pair up inside it. */
+function trimUrl(raw) {
+	let url = raw;
+	while (url) {
+		const last = url[url.length - 1];
+		const open = { ')': '(', ']': '[' }[last];
+		const unbalanced = open && url.split(last).length > url.split(open).length;
+		if (!/[.,;:!?'"]/.test(last) && !unbalanced) break;
+		url = url.slice(0, -1);
+	}
+	return url;
+}
+
+/**
+ * Find every referenced URL in `text`. Returns a Map of URL → occurrences
+ * (`{ line, start, end }`, 1-based line, 0-based columns), in order of first appearance.
+ */
+export function findReferences(text) {
+	const references = new Map();
+	const add = (url, occurrence) => {
+		if (!references.has(url)) references.set(url, []);
+		references.get(url).push(occurrence);
+	};
+
+	text.split('\n').forEach((line, i) => {
+		const found = [];
+		let m;
+
+		const mdRe = new RegExp(MD_LINK_REGEX.source, 'g');
+		while ((m = mdRe.exec(line)) !== null) {
+			found.push({ url: m[2], line: i + 1, start: m.index, end: m.index + m[0].length, label: m[1] });
+		}
+		const mdLinks = [...found];
+
+		const re = new RegExp(URL_REGEX.source, 'g');
+		while ((m = re.exec(line)) !== null) {
+			const start = m.index;
+			// The bare match may run past the link's closing paren, so only its start is checked
+			if (mdLinks.some((r) => start >= r.start && start < r.end)) continue;
+			const url = trimUrl(m[0]);
+			if (url) found.push({ url, line: i + 1, start, end: start + url.length });
+		}
+
+		found.sort((a, b) => a.start - b.start);
+		for (const { url, ...occurrence } of found) add(url, occurrence);
+	});
+	return references;
+}
@@ -0,0 +1,201 @@
+// Resolvers for well-known URL shapes, applied by /context before fetching.
+//
+// A resolver matches a URL and either rewrites it to something better to fetch
+// (`{ url }`, e.g. a GitHub blob to its raw file) or builds the document itself
+// (`{ content, type }`, e.g. a repository's file listing, plus any `details` to
+// add to the /context result). Either form may set `title` and `description`.
+// Returning null falls back to fetching the URL as is.
+//
+// Support for a new host is one registerResolver() call; the router is not involved.
+//
+// Configured through env vars:
+//   GITHUB_TOKEN   optional token for api.github.com (raises the rate limit, allows private repos)
+
+import { policyFetch } from './policy.js';
+import { formatSize, renderTree } from './listing.js';
+
+const resolvers = [];
+
+/**
+ * Register a resolver: `{ name, match(url, context), resolve(params, context) }`. `context` is
+ * `{ env, policy, origin, encoding }` (`origin` being the worker's own). `match` gets the parsed URL
+ * and returns params (anything truthy) when it applies; `resolve` gets those params and the context
+ * plus `url`. Resolvers are tried in registration order; the first match wins.
+ */
+export function registerResolver(resolver) {
+	resolvers.push(resolver);
+}
+
+/** Run the first matching resolver on `rawUrl`. Resolves to its result plus `resolver` (its name), or null. */
+export async function resolveUrl(rawUrl, context) {
+	let url;
+	try {
+		url = new URL(rawUrl);
+	} catch {
+		return null;
+	}
+	for (const resolver of resolvers) {
+		const params = resolver.match(url, context);
+		if (!params) continue;
+		const result = await resolver.resolve(params, { ...context, url });
+		return result && { ...result, resolver: resolver.name };
+	}
+	return null;
+}
+
+// ── GitHub ───────────────────────────────────────────────────────────
+
+const GITHUB_API = 'https://api.github.com';
+const MAX_LISTING_ENTRIES = 2000;
+
+// First path segments on github.com that are site pages, not owners
+const GITHUB_RESERVED = new Set([
+	'about',
+	'apps',
+	'collections',
+	'enterprise',
+	'explore',
+	'features',
+	'login',
+	'marketplace',
+	'notifications',
+	'orgs',
+	'organizations',
+	'pricing',
+	'pulls',
+	'issues',
+	'search',
+	'settings',
+	'sponsors',
+	'topics',
+	'trending',
+]);
+
+/** JSON from the GitHub API, or null when it does not answer with 200 (rate limit, private, missing). */
+async function githubJson(path, { env, policy }) {
+	const headers = {
+		Accept: 'application/vnd.github+json',
+		'User-Agent': 'ContextArea/1.0',
+		'X-GitHub-Api-Version': '2022-11-28',
+	};
+	if (env.GITHUB_TOKEN) headers.Authorization = `Bearer ${env.GITHUB_TOKEN}`;
+	const { response } = await policyFetch(`${GITHUB_API}${path}`, { headers }, policy);
+	if (response.status !== 200) return null;
+	return response.json();
+}
+
+/** `{ owner, repo, rest }` for a github.com URL, or null. */
+function githubPath(url) {
+	if (url.hostname !== 'github.com' && url.hostname !== 'www.github.com') return null;
+	const [owner, repo, ...rest] = url.pathname.split('/').filter(Boolean);
+	if (!owner || !repo || GITHUB_RESERVED.has(owner.toLowerCase())) return null;
+	try {
+		return { owner, repo: repo.replace(/\.git$/, ''), rest: rest.map(decodeURIComponent) };
+	} catch {
+		return null; // malformed escapes: leave the URL to a plain fetch
+	}
+}
+
+// github.com/:owner/:repo/blob/:ref/:path → raw.githubusercontent.com/:owner/:repo/:ref/:path
+registerResolver({
+	name: 'github-blob',
+	match(url) {
+		const gh = githubPath(url);
+		if (!gh || (gh.rest[0] !== 'blob' && gh.rest[0] !== 'raw') || gh.rest.length < 3) return null;
+		return gh;
+	},
+	resolve({ owner, repo, rest }, { url }) {
+		// `ref/path` is passed through whole: raw.githubusercontent.com resolves refs containing slashes itself
+		const refAndPath = url.pathname.split('/').slice(4).join('/');
+		return {
+			url: `https://raw.githubusercontent.com/${owner}/${repo}/${refAndPath}`,
+			title: `${rest[rest.length - 1]} · ${owner}/${repo}`,
+			description: `File in ${owner}/${repo}: ${rest.slice(1).join('/')}`,
+		};
+	},
+});
+
+// github.com/:owner/:repo and github.com/:owner/:repo/tree/:ref/:path → file listing with sizes
+registerResolver({
+	name: 'github-tree',
+	match(url) {
+		const gh = githubPath(url);
+		if (!gh) return null;
+		if (gh.rest.length === 0 || (gh.rest[0] === 'tree' && gh.rest.length >= 2)) return gh;
+		return null;
+	},
+	async resolve({ owner, repo, rest }, context) {
+		const info = await githubJson(`/repos/${owner}/${repo}`, context);
+		if (!info) return null;
+
+		// Refs with slashes are ambiguous in tree URLs; the first segment is taken as the ref
+		const ref = rest[1] || info.default_branch;
+		const dir = rest.slice(2).join('/');
+		const tree = await githubJson(`/repos/${owner}/${repo}/git/trees/${encodeURIComponent(ref)}?recursive=1`, context);
+		if (!tree) return null;
+
+		const prefix = dir ? `${dir}/` : '';
+		const files = tree.tree
+			.filter((entry) => entry.type === 'blob' && entry.path.startsWith(prefix))
+			.map((entry) => ({ path: entry.path.slice(prefix.length), size: entry.size }));
+		if (dir && !files.length) return null;
+
+		const totalSize = files.reduce((sum, file) => sum + (file.size || 0), 0);
+		const shown = files.slice(0, MAX_LISTING_ENTRIES);
+		const name = `${owner}/${repo}${dir ? `/${dir}` : ''}`;
+
+		const lines = [`# ${name} @ ${ref}`, ''];
+		if (info.description && !dir) lines.push(info.description, '');
+		lines.push(`${files.length} files, ${formatSize(totalSize)}`, '', renderTree(shown));
+		if (shown.length < files.length || tree.truncated) lines.push('', '(listing truncated)');
+
+		return {
+			type: 'listing',
+			content: lines.join('\n'),
+			title: name,
+			description: [info.description, `${files.length} files, ${formatSize(totalSize)} at ${ref}`].filter(Boolean).join(' · '),
+		};
+	},
+});
+
+// ── gists ────────────────────────────────────────────────────────────
+
+// gist.github.com/:user/:id and gist.github.com/:id → every file, as fenced code blocks
+registerResolver({
+	name: 'gist',
+	match(url) {
+		if (url.hostname !== 'gist.github.com') return null;
+		const id = url.pathname
+			.split('/')
+			.filter(Boolean)
+			.find((part) => /^[0-9a-f]{20,}$/i.test(part));
+		return id ? { id } : null;
+	},
+	async resolve({ id }, context) {
+		const gist = await githubJson(`/gists/${id}`, context);
+		if (!gist) return null;
+
+		const sections = [];
+		for (const file of Object.values(gist.files)) {
+			let content = file.content ?? '';
+			// The API cuts off large files; their raw URL has the rest
+			if (file.truncated && file.raw_url) {
+				const { response } = await policyFetch(file.raw_url, { headers: { 'User-Agent': 'ContextArea/1.0' } }, context.policy);
+				if (response.ok) content = await response.text();
+			}
+			const language = (file.language || '').toLowerCase().replace(/\s+/g, '');
+			sections.push(`## ${file.filename}\n\n\`\`\`${language}\n${content.replace(/\n$/, '')}\n\`\`\``);
+		}
+
+		const names = Object.keys(gist.files);
+		const owner = gist.owner?.login;
+		return {
+			type: 'gist',
+			content: sections.join('\n\n'),
+			title: gist.description || names[0] || `Gist ${id}`,
+			description: [owner && `Gist by ${owner}`, `${names.length} file${names.length === 1 ? '' : 's'}: ${names.join(', ')}`]
+				.filter(Boolean)
+				.join(' · '),
+		};
+	},
+});
@@ -0,0 +1,115 @@
+// Fragment selectors that narrow a /context result to part of the document:
+//
+//   #L10-L40, #L10-40, #L7     line range (1-based, inclusive) of the analyzed content
+//   #$.data.items[0].name      JSONPath subset: .key, ['key'], [index], [*] / .*
+//   #/data/items/0             JSON Pointer (RFC 6901)
+//
+// JSON selectors only apply to JSON content; other fragments (e.g. `#install`
+// on an HTML page) are left alone and the whole document is used.
+
+export class SelectorError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'SelectorError';
+		this.code = 'selector_not_found';
+		this.status = 422;
+	}
+}
+
+const LINES_RE = /^L(\d+)(?:-L?(\d+))?$/i;
+
+/** Split a URL into the document URL (without fragment) and its selector, if the fragment is one. */
+export function splitSelector(rawUrl) {
+	const hash = rawUrl.indexOf('#');
+	if (hash === -1) return { url: rawUrl, selector: null };
+
+	const base = rawUrl.slice(0, hash);
+	let fragment = rawUrl.slice(hash + 1);
+	try {
+		fragment = decodeURIComponent(fragment);
+	} catch {
+		// Keep the raw fragment
+	}
+
+	const lines = fragment.match(LINES_RE);
+	if (lines) {
+		const start = Number(lines[1]);
+		const end = lines[2] ? Number(lines[2]) : start;
+		return { url: base, selector: { kind: 'lines', start: Math.min(start, end), end: Math.max(start, end) } };
+	}
+	if (fragment.startsWith('$')) return { url: base, selector: { kind: 'jsonpath', path: fragment } };
+	if (fragment.startsWith('/')) return { url: base, selector: { kind: 'pointer', path: fragment } };
+	return { url: base, selector: null };
+}
+
+function parseJsonPath(path) {
+	const segments = [];
+	const re = /\.(\*|[^.[\]]+)|\[\s*(\*|-?\d+|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")\s*\]/gy;
+	re.lastIndex = 1; // skip `$`
+	while (re.lastIndex < path.length) {
+		const m = re.exec(path);
+		if (!m) throw new SelectorError(`Invalid JSONPath: ${path}`);
+		const token = m[1] ?? m[2];
+		if (token === '*') segments.push({ wildcard: true });
+		else if (/^['"]/.test(token)) segments.push({ key: token.slice(1, -1).replace(/\\(.)/g, '$1') });
+		else segments.push({ key: token });
+	}
+	return segments;
+}
+
+function parsePointer(path) {
+	return path
+		.slice(1)
+		.split('/')
+		.map((part) => ({ key: part.replace(/~1/g, '/').replace(/~0/g, '~') }));
+}
+
+function step(node, segment) {
+	if (node === null || typeof node !== 'object') return [];
+	if (segment.wildcard) return Object.values(node);
+	let key = segment.key;
+	if (Array.isArray(node) && /^-?\d+$/.test(key)) {
+		const index = Number(key);
+		key = index < 0 ? node.length + index : index;
+	}
+	return Object.prototype.hasOwnProperty.call(node, key) ? [node[key]] : [];
+}
+
+function selectJson(content, selector) {
+	let root;
+	try {
+		root = JSON.parse(content);
+	} catch {
+		throw new SelectorError('Content is not valid JSON');
+	}
+	const segments = selector.kind === 'jsonpath' ? parseJsonPath(selector.path) : parsePointer(selector.path);
+	let nodes = [root];
+	for (const segment of segments) nodes = nodes.flatMap((node) => step(node, segment));
+	if (!nodes.length) throw new SelectorError(`Nothing matches ${selector.path}`);
+
+	const value = segments.some((s) => s.wildcard) ? nodes : nodes[0];
+	return { content: JSON.stringify(value, null, 2), selection: { kind: selector.kind, path: selector.path, matches: nodes.length } };
+}
+
+function selectLines(content, { start, end }) {
+	const lines = content.split('\n');
+	if (start < 1 || start > lines.length) {
+		throw new SelectorError(`Line ${start} is out of range (document has ${lines.length} lines)`);
+	}
+	const last = Math.min(end, lines.length);
+	return {
+		content: lines.slice(start - 1, last).join('\n'),
+		selection: { kind: 'lines', start, end: last, totalLines: lines.length },
+	};
+}
+
+/**
+ * Narrow `content` (of the given `type`) to `selector`. Returns `{ content, selection }`,
+ * with `selection` null when the selector does not apply to this kind of content.
+ */
+export function applySelector(content, type, selector) {
+	if (!selector) return { content, selection: null };
+	if (selector.kind === 'lines') return selectLines(content, selector);
+	if (type !== 'json') return { content, selection: null };
+	return selectJson(content, selector);
+}
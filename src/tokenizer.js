@@ -0,0 +1,67 @@
+// BPE token counting for /context, backed by js-tiktoken.
+//
+// Rank tables are large, so each one is imported lazily and the resulting
+// encoder is kept for the lifetime of the isolate.
+
+import { Tiktoken, getEncodingNameForModel } from 'js-tiktoken/lite';
+
+const RANKS = {
+	cl100k_base: () => import('js-tiktoken/ranks/cl100k_base'),
+	o200k_base: () => import('js-tiktoken/ranks/o200k_base'),
+};
+
+export const DEFAULT_ENCODING = 'o200k_base';
+export const ENCODINGS = Object.keys(RANKS);
+
+const encoders = new Map();
+
+/**
+ * Pick the encoding for a request. `encoding` wins over `model`; with neither, the default is used.
+ * Throws for unknown models and encodings this worker does not ship.
+ */
+export function resolveEncoding({ model, encoding } = {}) {
+	if (encoding) {
+		if (!RANKS[encoding]) throw new Error(`Unsupported encoding: ${encoding} (expected one of ${ENCODINGS.join(', ')})`);
+		return encoding;
+	}
+	if (!model) return DEFAULT_ENCODING;
+
+	let name;
+	try {
+		name = getEncodingNameForModel(model);
+	} catch {
+		throw new Error(`Unknown model: ${model}`);
+	}
+	if (!RANKS[name]) throw new Error(`Model ${model} uses ${name}, which is not supported`);
+	return name;
+}
+
+async function getEncoder(encoding) {
+	if (!encoders.has(encoding)) {
+		const pending = RANKS[encoding]()
+			.then((mod) => new Tiktoken(mod.default))
+			.catch((error) => {
+				encoders.delete(encoding);
+				throw error;
+			});
+		encoders.set(encoding, pending);
+	}
+	return encoders.get(encoding);
+}
+
+/** Count tokens in `text`. Special-token markers are counted as plain text. */
+export async function countTokens(text, encoding = DEFAULT_ENCODING) {
+	if (!text) return 0;
+	const encoder = await getEncoder(encoding);
+	return encoder.encode(text, [], []).length;
+}
+
+/** The longest prefix of `text` that fits in `maxTokens`. */
+export async function truncateToTokens(text, maxTokens, encoding = DEFAULT_ENCODING) {
+	if (maxTokens <= 0) return '';
+	const encoder = await getEncoder(encoding);
+	const tokens = encoder.encode(text, [], []);
+	if (tokens.length <= maxTokens) return text;
+	// Cutting mid-character leaves a replacement char; drop it
+	return encoder.decode(tokens.slice(0, maxTokens)).replace(/�+$/, '');
+}
@@ -0,0 +1,338 @@
+// HTML viewer for GET /paste/:id, served when the request prefers text/html
+// (a browser opening a shared link). Highlighting runs in the page with
+// highlight.js from unpkg, as the demo loads Monaco; the rest is rendered here.
+// Those files are pinned by Subresource Integrity and the CSP allows only them,
+// since the page of an encrypted paste holds its key in `location.hash`.
+// Line links use the same `#L10-L20` fragments that /context understands.
+//
+// End-to-end encrypted pastes are rendered as an empty page that fetches the
+// ciphertext and decrypts it with the `#key=` fragment (using `decryptPaste`
+// from /contextarea.js), so the key never reaches the worker.
+
+import { formatSize } from './listing.js';
+
+const HLJS = 'https://unpkg.com/@highlightjs/cdn-assets@11.9.0';
+// SHA-384 digests of the files the page loads from HLJS
+const HLJS_ASSETS = {
+	script: ['/highlight.min.js', 'sha384-F/bZzf7p3Joyp5psL90p/p89AZJsndkSoGwRpXcZhleCWhd8SnRuoYo4d0yirjJp'],
+	light: ['/styles/github.min.css', 'sha384-eFTL69TLRZTkNfYZOLM+G04821K1qZao/4QLJbet1pP4tcF+fdXq/9CdqAbWRl/L'],
+	dark: ['/styles/github-dark.min.css', 'sha384-wH75j6z1lH97ZOpMOInqhgKzFkAInZPPSPlZpYKYTOqsaizPvhQZmAtLcPKXpLyH'],
+};
+export const MAX_VIEW_BYTES = 1024 * 1024; // larger pastes get a summary with raw and download links
+
+export const VIEWER_CSP =
+	"default-src 'none'; " +
+	`script-src 'self' 'unsafe-inline' ${HLJS}${HLJS_ASSETS.script[0]}; ` +
+	`style-src 'unsafe-inline' ${HLJS}${HLJS_ASSETS.light[0]} ${HLJS}${HLJS_ASSETS.dark[0]}; ` +
+	"img-src 'self' data: blob:; connect-src 'self'; base-uri 'none'; form-action 'none'";
+
+const TEXTUAL_TYPE_RE = /^text\/|^application\/(?:[\w.-]+\+)?(?:json|xml|javascript|yaml|x-yaml|toml|x-sh|sql|graphql)\b/i;
+
+// highlight.js language names for content types; file extensions are passed through as aliases
+const TYPE_LANGUAGES = {
+	'application/json': 'json',
+	'application/javascript': 'javascript',
+	'text/javascript': 'javascript',
+	'text/html': 'xml',
+	'text/xml': 'xml',
+	'application/xml': 'xml',
+	'text/css': 'css',
+	'text/markdown': 'markdown',
+	'application/x-yaml': 'yaml',
+	'application/yaml': 'yaml',
+	'application/sql': 'sql',
+	'application/x-sh': 'bash',
+};
+
+/** A `<script>` or stylesheet `<link>` for one of HLJS_ASSETS, with its integrity digest. */
+function hljsTag(name, attributes = '') {
+	const [path, integrity] = HLJS_ASSETS[name];
+	const common = `integrity="${integrity}" crossorigin="anonymous"${attributes ? ` ${attributes}` : ''}`;
+	return name === 'script' ? `<script src="${HLJS}${path}" ${common}></script>` : `<link rel="stylesheet" href="${HLJS}${path}" ${common}>`;
+}
+
+/** Whether the client asked for HTML first (browsers do; curl and fetch() send `*\/*`). `?raw` always wins. */
+export function prefersHtml(request, url) {
+	if (url.searchParams.has('raw')) return false;
+	let best = null;
+	for (const part of (request.headers.get('Accept') || '').split(',')) {
+		const [type, ...params] = part.trim().toLowerCase().split(';');
+		const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+		const weight = q ? Number(q.slice(2)) : 1;
+		if (!best || weight > best.weight) best = { type: type.trim(), weight };
+	}
+	return Boolean(best) && best.weight > 0 && (best.type === 'text/html' || best.type === 'application/xhtml+xml');
+}
+
+/**
+ * Whether the viewer may consume the paste. A burn-after-read paste is only shown when it is
+ * text that fits; anything else is served raw, so its one read is not spent on a summary page.
+ */
+export function viewerCanShow(metadata) {
+	// The encrypted viewer does not read the paste; its own fetch does
+	if (!metadata.burn || metadata.encrypted) return true;
+	return (metadata.size ?? 0) <= MAX_VIEW_BYTES && TEXTUAL_TYPE_RE.test(metadata.contentType || 'text/plain');
+}
+
+function escapeHtml(value) {
+	return String(value).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/** `bytes` as text, or null when they do not decode as UTF-8 or look binary. */
+export function viewerText(bytes) {
+	if (bytes.includes(0)) return null;
+	try {
+		return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+	} catch {
+		return null;
+	}
+}
+
+function languageHint(metadata) {
+	const ext = (metadata.fileName || '').match(/\.([a-z0-9+]+)$/i)?.[1];
+	if (ext) return ext.toLowerCase();
+	return TYPE_LANGUAGES[(metadata.contentType || '').split(';')[0].trim().toLowerCase()] || '';
+}
+
+function codeTable(text) {
+	const rows = text
+		.replace(/\n$/, '')
+		.split('\n')
+		.map(
+			(line, i) => `<tr id="L${i + 1}"><td class="ln"><a href="#L${i + 1}">${i + 1}</a></td><td class="code">${escapeHtml(line)}</td></tr>`,
+		);
+	return `<table class="lines"><tbody>${rows.join('')}</tbody></table>`;
+}
+
+const STYLE = `
+	:root { color-scheme: light dark; --bg: #fff; --fg: #1f2328; --muted: #656d76; --line: #d0d7de; --sel: #fff8c5; }
+	@media (prefers-color-scheme: dark) { :root { --bg: #0d1117; --fg: #e6edf3; --muted: #8d96a0; --line: #30363d; --sel: #3b2e00; } }
+	body { margin: 0; background: var(--bg); color: var(--fg); font: 14px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; }
+	header { position: sticky; top: 0; background: var(--bg); border-bottom: 1px solid var(--line); padding: 12px 20px; display: flex; flex-wrap: wrap; gap: 8px 20px; align-items: center; }
+	h1 { font-size: 16px; margin: 0; word-break: break-all; }
+	.meta { color: var(--muted); font-size: 13px; display: flex; flex-wrap: wrap; gap: 4px 14px; }
+	.actions { margin-left: auto; display: flex; gap: 8px; }
+	.actions a, .actions button { font: inherit; font-size: 13px; color: var(--fg); background: transparent; border: 1px solid var(--line); border-radius: 6px; padding: 3px 10px; cursor: pointer; text-decoration: none; }
+	main { padding: 0 0 40px; }
+	.note { padding: 16px 20px; color: var(--muted); }
+	.lines { border-collapse: collapse; font: 12px/1.6 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; width: 100%; }
+	.lines td { padding: 0 12px; vertical-align: top; }
+	.lines .ln { text-align: right; user-select: none; width: 1%; border-right: 1px solid var(--line); }
+	.lines .ln a { color: var(--muted); text-decoration: none; }
+	.lines .code { white-space: pre-wrap; word-break: break-all; }
+	.lines tr.selected { background: var(--sel); }
+	ul.files { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 13px; }
+	img.preview { max-width: 100%; margin: 20px; }
+`;
+
+// Highlights the whole text at once (so multi-line strings and comments come out right),
+// then splits the result back into the table's rows, re-opening spans across line breaks.
+// Encrypted pastes are first fetched raw and decrypted with the key from the fragment.
+const SCRIPT = `
+	const main = document.querySelector('main');
+	const key = (location.hash.match(/^#key=([A-Za-z0-9_-]+)/) || [])[1] || null;
+	let rows = [...document.querySelectorAll('.lines tr')];
+	let text = rows.map((row) => row.lastChild.textContent).join('\\n');
+	let hint = document.body.dataset.language;
+
+	function splitLines(html) {
+		const lines = [];
+		const open = [];
+		let current = '';
+		for (const part of html.split(/(<span[^>]*>|<\\/span>|\\n)/)) {
+			if (part === '\\n') {
+				lines.push(current + '</span>'.repeat(open.length));
+				current = open.join('');
+			} else {
+				if (part.startsWith('<span')) open.push(part);
+				else if (part === '</span>') open.pop();
+				current += part;
+			}
+		}
+		lines.push(current + '</span>'.repeat(open.length));
+		return lines;
+	}
+
+	function highlight() {
+		if (!window.hljs || !rows.length) return;
+		const result = hint && hljs.getLanguage(hint)
+			? hljs.highlight(text, { language: hint, ignoreIllegals: true })
+			: text.length < 100000 ? hljs.highlightAuto(text) : null;
+		if (result) splitLines(result.value).forEach((html, i) => { if (rows[i]) rows[i].lastChild.innerHTML = html; });
+	}
+
+	function codeTable(lines) {
+		const table = document.createElement('table');
+		table.className = 'lines';
+		const tbody = table.appendChild(document.createElement('tbody'));
+		lines.forEach((line, i) => {
+			const row = tbody.appendChild(document.createElement('tr'));
+			row.id = 'L' + (i + 1);
+			const link = row.appendChild(document.createElement('td')).appendChild(document.createElement('a'));
+			link.parentNode.className = 'ln';
+			link.href = '#L' + (i + 1);
+			link.textContent = i + 1;
+			const code = row.appendChild(document.createElement('td'));
+			code.className = 'code';
+			code.textContent = line;
+		});
+		return table;
+	}
+
+	// Line links keep the decryption key in front of the line fragment (#key=…&L10-L20)
+	function lineHash(start, end) {
+		const lines = 'L' + start + (end && end !== start ? '-L' + end : '');
+		return key ? '#key=' + key + '&' + lines : '#' + lines;
+	}
+
+	let anchor = null;
+	function select() {
+		rows.forEach((row) => row.classList.remove('selected'));
+		const m = location.hash.match(/(?:^#|&)L(\\d+)(?:-L?(\\d+))?$/);
+		if (!m) return;
+		const start = Number(m[1]);
+		const end = Number(m[2] || m[1]);
+		for (let n = Math.min(start, end); n <= Math.max(start, end); n++) document.getElementById('L' + n)?.classList.add('selected');
+		anchor = start;
+	}
+
+	function setupLines() {
+		document.querySelector('.lines')?.addEventListener('click', (e) => {
+			const link = e.target.closest('.ln a');
+			if (!link) return;
+			e.preventDefault();
+			const n = Number(link.textContent);
+			const start = e.shiftKey && anchor ? anchor : n;
+			history.replaceState(null, '', lineHash(Math.min(start, n), Math.max(start, n)));
+			select();
+			anchor = start;
+		});
+		window.addEventListener('hashchange', select);
+		select();
+		document.querySelector('.selected')?.scrollIntoView({ block: 'center' });
+	}
+
+	async function decrypt() {
+		const status = document.getElementById('status');
+		if (!key) {
+			status.textContent = 'This paste is end-to-end encrypted. Open it with the complete link, including its #key=… part.';
+			return false;
+		}
+		try {
+			const r = await fetch('?raw');
+			if (!r.ok) throw new Error(r.status === 404 ? 'it no longer exists' : 'HTTP ' + r.status);
+			const { header, content } = await ContextArea.decryptPaste(await r.arrayBuffer(), key);
+			const type = header.contentType || 'application/octet-stream';
+			const blob = new Blob([content], { type });
+			if (header.fileName) {
+				document.title = document.querySelector('h1').textContent = header.fileName;
+				hint = (header.fileName.match(/\\.([a-z0-9+]+)$/i) || [])[1] || hint;
+			}
+			const download = document.getElementById('download');
+			download.href = URL.createObjectURL(blob);
+			download.download = header.fileName || 'paste';
+			download.hidden = false;
+
+			if (/^text\\/|json|xml|javascript/.test(type)) {
+				text = new TextDecoder().decode(content).replace(/\\n$/, '');
+				main.replaceChildren(codeTable(text.split('\\n')));
+				rows = [...main.querySelectorAll('tr')];
+				document.getElementById('tokens').textContent = '≈' + Math.ceil(text.length / 4).toLocaleString('en-US') + ' tokens (estimated)';
+				document.getElementById('copy').hidden = false;
+			} else if (type.startsWith('image/')) {
+				const image = new Image();
+				image.className = 'preview';
+				image.src = URL.createObjectURL(blob);
+				main.replaceChildren(image);
+			} else {
+				status.textContent = 'Binary content: no preview. Use Download.';
+			}
+			return true;
+		} catch (err) {
+			status.textContent = 'Could not decrypt this paste: ' + err.message;
+			return false;
+		}
+	}
+
+	(async () => {
+		if (document.body.dataset.encrypted && !(await decrypt())) return;
+		highlight();
+		setupLines();
+		document.getElementById('copy')?.addEventListener('click', async (e) => {
+			await navigator.clipboard.writeText(text);
+			e.target.textContent = 'Copied';
+			setTimeout(() => (e.target.textContent = 'Copy'), 1500);
+		});
+	})();
+`;
+
+/**
+ * The viewer page. `text` is the paste as text (null when binary, encrypted or not read),
+ * `tokens` its count, and `files` the manifest of a bundle paste.
+ */
+export function renderViewer({ id, metadata, text, tokens, encoding, files }) {
+	const { encrypted } = metadata;
+	const title = metadata.fileName || (encrypted ? 'Encrypted paste' : `Paste ${id}`);
+	const size = metadata.size ?? (text !== null ? new TextEncoder().encode(text).byteLength : 0);
+	const expires = metadata.burn
+		? 'Deleted after this view'
+		: metadata.expiresAt
+			? `Expires ${new Date(metadata.expiresAt).toISOString().replace('T', ' ').slice(0, 16)} UTC`
+			: 'Never expires';
+
+	const meta = [formatSize(size), encrypted ? 'End-to-end encrypted' : metadata.contentType || 'text/plain'];
+	if (tokens !== null && tokens !== undefined) meta.push(`${tokens.toLocaleString('en-US')} tokens (${encoding})`);
+	if (files) meta.push(`${files.length} files`);
+	meta.push(expires);
+
+	const actions = [];
+	if (encrypted) {
+		// Shown once decrypted; the download is the decrypted file
+		actions.push('<button id="copy" type="button" hidden>Copy</button>', '<a id="download" hidden>Download</a>');
+	} else {
+		if (text !== null) actions.push('<button id="copy" type="button">Copy</button>');
+		if (!metadata.burn) actions.push('<a href="?raw">Raw</a>', '<a href="?download">Download</a>');
+	}
+
+	let content;
+	if (encrypted) {
+		content = '<p class="note" id="status">Decrypting…</p>';
+	} else if (files) {
+		const items = files.map(
+			(file) =>
+				`<li><a href="/paste/${id}/files/${file.path.split('/').map(encodeURIComponent).join('/')}">${escapeHtml(file.path)}</a> (${formatSize(file.size)})</li>`,
+		);
+		content = `<ul class="files">${items.join('')}</ul>`;
+	} else if (text !== null) {
+		content = codeTable(text);
+	} else if ((metadata.contentType || '').startsWith('image/') && !metadata.burn) {
+		content = `<img class="preview" src="?raw" alt="${escapeHtml(title)}">`;
+	} else if (size > MAX_VIEW_BYTES) {
+		content = '<p class="note">This paste is too large to preview. Use Raw or Download.</p>';
+	} else {
+		content = '<p class="note">Binary content: no preview. Use Download.</p>';
+	}
+
+	return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+${hljsTag('light', 'media="(prefers-color-scheme: light)"')}
+${hljsTag('dark', 'media="(prefers-color-scheme: dark)"')}
+<style>${STYLE}</style>
+</head>
+<body data-language="${escapeHtml(languageHint(metadata))}"${encrypted ? ' data-encrypted="true"' : ''}>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">${meta.map((m) => `<span>${escapeHtml(m)}</span>`).join('')}${encrypted ? '<span id="tokens"></span>' : ''}</div>
+<div class="actions">${actions.join('')}</div>
+</header>
+<main>${content}</main>
+${hljsTag('script')}
+${encrypted ? '<script src="/contextarea.js"></script>\n' : ''}<script>${SCRIPT}</script>
+</body>
+</html>`;
+}
@@ -0,0 +1,60 @@
+// / commands report how they ended with a `command` event; a command whose work failed must
+// end in the error state.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadContextArea, Range } from './fake-monaco.mjs';
+
+const { ContextArea, commands, element } = loadContextArea();
+
+/** Run `/name` and resolve to the events of `types` it fired, once its `command` event came. */
+function runCommand(ca, name, ...types) {
+	const seen = [];
+	return new Promise((resolve) => {
+		for (const type of [...types, 'command']) {
+			ca.on(type, (payload) => {
+				seen.push({ type, ...payload });
+				if (type === 'command') resolve(seen);
+			});
+		}
+		commands['contextarea.runCommand'](ca.id, name);
+	});
+}
+
+test('/upload ends in the error state when the upload fails', async (t) => {
+	globalThis.fetch = async () => new Response(JSON.stringify({ error: 'Paste too large', code: 'too_large' }), { status: 413 });
+	const ca = ContextArea.create(element(), { contextDebounce: 60000 });
+	t.after(() => ca.dispose());
+
+	ca.editor.setValue('some text to share');
+	ca.editor.setSelection(new Range(1, 1, 1, 10));
+	const seen = await runCommand(ca, 'upload', 'upload:error', 'upload:done');
+
+	assert.deepEqual(
+		seen.map(({ type, state }) => [type, state]),
+		[
+			['upload:error', undefined],
+			['command', 'error'],
+		],
+	);
+	assert.equal(ca.editor.getValue(), 'some text to share');
+});
+
+test('/upload replaces the selection with the link when it succeeds', async (t) => {
+	globalThis.fetch = async () => new Response('https://ctx.test/paste/abc');
+	const ca = ContextArea.create(element(), { contextDebounce: 60000 });
+	t.after(() => ca.dispose());
+
+	ca.editor.setValue('some text to share');
+	ca.editor.setSelection(new Range(1, 1, 1, 10));
+	const seen = await runCommand(ca, 'upload', 'upload:error', 'upload:done');
+
+	assert.deepEqual(
+		seen.map(({ type, state }) => [type, state]),
+		[
+			['upload:done', undefined],
+			['command', 'done'],
+		],
+	);
+	assert.equal(ca.editor.getValue(), 'https://ctx.test/paste/abc to share');
+});
@@ -0,0 +1,78 @@
+// Encrypted pastes are read in the browser. A burn-after-read one may be read only once, so
+// seeing its link (lookups, hovers) must not read it: only expanding it does.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadContextArea } from './fake-monaco.mjs';
+
+const { ContextArea, commands, element } = loadContextArea();
+const PASTE_URL = 'https://ctx.test/paste/abc';
+
+/** A worker holding one paste, uploaded with `expires`; a burn paste is gone after its first read. */
+function fakeWorker(expires) {
+	const reads = [];
+	let paste;
+	globalThis.fetch = async (url, init = {}) => {
+		if (url.startsWith('/paste') && init.method === 'POST') {
+			paste = init.body;
+			return new Response(PASTE_URL, { headers: { 'X-Paste-Expires': expires } });
+		}
+		if (url === `${PASTE_URL}/meta`) {
+			return paste ? Response.json({ expiresAt: expires === 'burn' ? 'burn' : 'never' }) : new Response(null, { status: 404 });
+		}
+		if (url === `${PASTE_URL}?raw`) {
+			reads.push(url);
+			if (!paste) return new Response(null, { status: 404 });
+			const body = paste;
+			if (expires === 'burn') paste = null;
+			return new Response(body);
+		}
+		return new Response(null, { status: 404 });
+	};
+	return reads;
+}
+
+async function expand(ca, commands, url) {
+	const { references } = await ca.getContext({ wait: true });
+	const done = new Promise((resolve) => {
+		const listener = ca.on('expand', (e) => {
+			if (e.state === 'start') return;
+			listener.dispose();
+			resolve(e);
+		});
+	});
+	commands.expandUrl(ca.id, url, references.find((r) => r.url === url).ranges[0]);
+	return done;
+}
+
+test('does not read a burn-after-read paste until it is expanded', async (t) => {
+	const reads = fakeWorker('burn');
+	const uploader = ContextArea.create(element(), { encrypt: true, pasteExpiry: 'burn', contextDebounce: 60000 });
+	t.after(() => uploader.dispose());
+	const url = await uploader.uploadPaste('read me once');
+
+	// Someone else's editor sees the link
+	const ca = ContextArea.create(element(), { contextDebounce: 60000 });
+	t.after(() => ca.dispose());
+	ca.editor.setValue(`see ${url}`);
+	const { references } = await ca.getContext({ wait: true });
+	assert.equal(references[0].code, 'burn_after_read');
+	assert.deepEqual(reads, []);
+
+	const expanded = await expand(ca, commands, url);
+	assert.equal(expanded.state, 'done');
+	assert.equal(ca.editor.getValue(), 'see read me once');
+	assert.equal(reads.length, 1);
+});
+
+test('reads other encrypted pastes as soon as they are seen', async (t) => {
+	const reads = fakeWorker('30d');
+	const ca = ContextArea.create(element(), { encrypt: true, contextDebounce: 60000 });
+	t.after(() => ca.dispose());
+	const url = await ca.uploadPaste('plain enough');
+
+	ca.editor.setValue(`see ${url}`);
+	const { references } = await ca.getContext({ wait: true, content: true });
+	assert.equal(references[0].content, 'plain enough');
+	assert.equal(reads.length, 1);
+});
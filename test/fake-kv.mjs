@@ -0,0 +1,35 @@
+// An in-memory stand-in for a Workers KV namespace: the get/put/delete calls src/paste.js
+// makes, with KV's 1024-byte limit on metadata.
+
+const MAX_METADATA_BYTES = 1024;
+
+/** A fresh namespace. `entries` maps each key to `{ value, metadata, expiration }` for inspection. */
+export function createKv() {
+	const entries = new Map();
+	const read = (value, type) => {
+		if (type === 'arrayBuffer') return value.slice().buffer;
+		if (type === 'stream') return new Response(value.slice()).body;
+		return new TextDecoder().decode(value);
+	};
+
+	return {
+		entries,
+		async put(key, value, { metadata = null, expiration } = {}) {
+			const size = new TextEncoder().encode(JSON.stringify(metadata)).byteLength;
+			if (size > MAX_METADATA_BYTES) throw new Error(`KV put() failed: metadata is ${size} bytes, over ${MAX_METADATA_BYTES}`);
+			const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : new Uint8Array(value).slice();
+			entries.set(key, { value: bytes, metadata, expiration });
+		},
+		async get(key, { type = 'text' } = {}) {
+			const entry = entries.get(key);
+			return entry ? read(entry.value, type) : null;
+		},
+		async getWithMetadata(key, { type = 'text' } = {}) {
+			const entry = entries.get(key);
+			return entry ? { value: read(entry.value, type), metadata: entry.metadata } : { value: null, metadata: null };
+		},
+		async delete(key) {
+			entries.delete(key);
+		},
+	};
+}
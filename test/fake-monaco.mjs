@@ -0,0 +1,223 @@
+// Just enough of Monaco and the DOM to run public/contextarea.js under Node: a
+// text model with offsets and tracked decorations, and registries that keep the
+// providers and commands the editor registers so tests can call them.
+
+import { readFileSync } from 'node:fs';
+
+export class Range {
+	constructor(startLineNumber, startColumn, endLineNumber, endColumn) {
+		Object.assign(this, { startLineNumber, startColumn, endLineNumber, endColumn });
+	}
+
+	static fromPositions(start, end = start) {
+		return new Range(start.lineNumber, start.column, end.lineNumber, end.column);
+	}
+
+	static lift(range) {
+		return new Range(range.startLineNumber, range.startColumn, range.endLineNumber, range.endColumn);
+	}
+
+	static compareRangesUsingStarts(a, b) {
+		return a.startLineNumber - b.startLineNumber || a.startColumn - b.startColumn;
+	}
+
+	getStartPosition() {
+		return { lineNumber: this.startLineNumber, column: this.startColumn };
+	}
+
+	getEndPosition() {
+		return { lineNumber: this.endLineNumber, column: this.endColumn };
+	}
+
+	isEmpty() {
+		return this.startLineNumber === this.endLineNumber && this.startColumn === this.endColumn;
+	}
+
+	containsPosition({ lineNumber, column }) {
+		const afterStart = lineNumber > this.startLineNumber || (lineNumber === this.startLineNumber && column >= this.startColumn);
+		const beforeEnd = lineNumber < this.endLineNumber || (lineNumber === this.endLineNumber && column <= this.endColumn);
+		return afterStart && beforeEnd;
+	}
+
+	containsRange(other) {
+		return this.containsPosition(Range.lift(other).getStartPosition()) && this.containsPosition(Range.lift(other).getEndPosition());
+	}
+
+	intersectRanges() {
+		return null;
+	}
+
+	equalsRange(other) {
+		return (
+			Range.compareRangesUsingStarts(this, other) === 0 && this.endLineNumber === other.endLineNumber && this.endColumn === other.endColumn
+		);
+	}
+}
+
+export class Position {
+	constructor(lineNumber, column) {
+		Object.assign(this, { lineNumber, column });
+	}
+}
+
+function createEditor(value) {
+	let text = value;
+	const decorations = new Map(); // id → [start, end] offsets
+	let nextDecoration = 1;
+	const listeners = [];
+	const changed = () => listeners.forEach((listener) => listener({}));
+	const selectionListeners = [];
+
+	const model = {
+		getValue: () => text,
+		getEOL: () => '\n',
+		getLineContent: (lineNumber) => text.split('\n')[lineNumber - 1] ?? '',
+		getOffsetAt({ lineNumber, column }) {
+			const lines = text.split('\n');
+			let offset = 0;
+			for (let i = 0; i < lineNumber - 1; i++) offset += lines[i].length + 1;
+			return offset + column - 1;
+		},
+		getPositionAt(offset) {
+			const lines = text.split('\n');
+			let line = 0;
+			while (line < lines.length - 1 && offset > lines[line].length) offset -= lines[line++].length + 1;
+			return new Position(line + 1, Math.min(offset, lines[line].length) + 1);
+		},
+		getValueInRange(range) {
+			const r = Range.lift(range);
+			return text.slice(model.getOffsetAt(r.getStartPosition()), model.getOffsetAt(r.getEndPosition()));
+		},
+		getFullModelRange: () => Range.fromPositions(new Position(1, 1), model.getPositionAt(text.length)),
+		getDecorationRange(id) {
+			const offsets = decorations.get(id);
+			return offsets && Range.fromPositions(model.getPositionAt(offsets[0]), model.getPositionAt(offsets[1]));
+		},
+	};
+
+	const editor = {
+		getModel: () => model,
+		getValue: () => text,
+		setValue(next) {
+			text = next;
+			decorations.clear();
+			changed();
+		},
+		executeEdits(_source, edits) {
+			for (const edit of edits) {
+				const range = Range.lift(edit.range);
+				const start = model.getOffsetAt(range.getStartPosition());
+				const end = model.getOffsetAt(range.getEndPosition());
+				text = text.slice(0, start) + edit.text + text.slice(end);
+				const shift = (offset) => (offset <= start ? offset : offset >= end ? offset + edit.text.length - (end - start) : start);
+				for (const offsets of decorations.values()) offsets.splice(0, 2, shift(offsets[0]), shift(offsets[1]));
+			}
+			changed();
+			return true;
+		},
+		deltaDecorations(oldIds, added) {
+			oldIds.forEach((id) => decorations.delete(id));
+			return added.map(({ range }) => {
+				const id = `d${nextDecoration++}`;
+				const r = Range.lift(range);
+				decorations.set(id, [model.getOffsetAt(r.getStartPosition()), model.getOffsetAt(r.getEndPosition())]);
+				return id;
+			});
+		},
+		onDidChangeModelContent(listener) {
+			listeners.push(listener);
+			return { dispose() {} };
+		},
+		setSelection(range) {
+			selectionListeners.forEach((listener) => listener({ selection: Range.lift(range) }));
+		},
+		onDidChangeCursorSelection(listener) {
+			selectionListeners.push(listener);
+			return { dispose() {} };
+		},
+		getPosition: () => model.getPositionAt(text.length),
+		getDomNode: () => ({ addEventListener() {}, removeEventListener() {} }),
+	};
+	// Everything else the editor calls (focus, actions, widgets, …) does nothing here
+	return new Proxy(editor, { get: (target, key) => (key in target ? target[key] : () => ({ dispose() {} })) });
+}
+
+function element() {
+	const children = {};
+	return {
+		style: {},
+		get firstChild() {
+			return (children.first ||= element());
+		},
+		get lastChild() {
+			return (children.last ||= element());
+		},
+		classList: { add() {}, remove() {}, toggle() {} },
+		appendChild() {},
+		addEventListener() {},
+		removeEventListener() {},
+		querySelector: () => null,
+		set innerHTML(_html) {},
+	};
+}
+
+/**
+ * Install the fakes as globals and evaluate public/contextarea.js. Returns `{ ContextArea, providers,
+ * commands, element }`: `providers[name]` holds every provider registered as `name` (`completion`,
+ * `hover`, …), `commands[id](...args)` runs an editor command as a link or action would, and
+ * `element()` makes a container to create an editor in.
+ */
+export function loadContextArea() {
+	const providers = {};
+	const commands = {};
+	const register = (name) => (_language, provider) => {
+		(providers[name] ||= []).push(provider);
+		return { dispose() {} };
+	};
+
+	globalThis.window = globalThis;
+	globalThis.addEventListener = () => {};
+	globalThis.removeEventListener = () => {};
+	globalThis.document = {
+		visibilityState: 'visible',
+		head: element(),
+		body: element(),
+		createElement: element,
+		addEventListener() {},
+		removeEventListener() {},
+	};
+	globalThis.matchMedia = () => ({ matches: false, addEventListener() {} });
+	globalThis.MutationObserver = class {
+		observe() {}
+		disconnect() {}
+	};
+	globalThis.monaco = {
+		Range,
+		Position,
+		KeyMod: { Shift: 1024 },
+		KeyCode: { Enter: 3 },
+		MarkerSeverity: { Warning: 4 },
+		editor: {
+			OverlayWidgetPositionPreference: { BOTTOM: 1 },
+			TrackedRangeStickiness: { NeverGrowsWhenTypingAtEdges: 1 },
+			create: (_element, options) => createEditor(options.value ?? ''),
+			addCommand({ id, run }) {
+				commands[id] = (...args) => run(null, ...args);
+			},
+			setModelMarkers() {},
+		},
+		languages: {
+			InlayHintKind: { Type: 1 },
+			CompletionItemKind: { Function: 1, Module: 8, Text: 18 },
+			FoldingRangeKind: { Region: 'region' },
+			registerCodeActionProvider: register('codeAction'),
+			registerCompletionItemProvider: register('completion'),
+			registerFoldingRangeProvider: register('foldingRange'),
+			registerHoverProvider: register('hover'),
+			registerInlayHintsProvider: register('inlayHints'),
+		},
+	};
+
+	new Function(readFileSync(new URL('../public/contextarea.js', import.meta.url), 'utf8'))();
+	return { ContextArea: globalThis.ContextArea, providers, commands, element };
+}
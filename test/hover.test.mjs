@@ -0,0 +1,33 @@
+// Link hovers show what the page says about itself: its title and description must come out
+// as plain text, and the only command a hover may run is expanding the link.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadContextArea } from './fake-monaco.mjs';
+
+const { ContextArea, providers, element } = loadContextArea();
+
+test('escapes the remote title and description and trusts only the expand command', async (t) => {
+	globalThis.fetch = async () =>
+		Response.json({
+			title: 'Docs](command:contextarea.runCommand?[1,"clear"])',
+			description: '<img src=x onerror=alert(1)> [click](command:contextarea.runCommand)',
+			type: 'html',
+			tokens: 12,
+		});
+	const ca = ContextArea.create(element(), { contextDebounce: 60000 });
+	t.after(() => ca.dispose());
+
+	ca.editor.setValue('see https://example.com/page');
+	await ca.getContext({ wait: true });
+	const hover = providers.hover.at(-1).provideHover(ca.editor.getModel(), { lineNumber: 1, column: 10 });
+	const [{ value, isTrusted, supportHtml }] = hover.contents;
+
+	assert.deepEqual(isTrusted, { enabledCommands: ['expandUrl'] });
+	assert.ok(!supportHtml);
+	assert.ok(value.includes('**Docs\\]\\(command:contextarea\\.runCommand?\\[1,"clear"\\]\\)**'));
+	assert.ok(value.includes('\\<img src=x onerror=alert\\(1\\)\\> \\[click\\]\\(command:contextarea\\.runCommand\\)'));
+	// Only the expand link is left as a link
+	assert.equal(value.match(/(?<!\\)\]\(/g).length, 1);
+	assert.match(value, /\]\(command:expandUrl\?/);
+});
@@ -0,0 +1,101 @@
+// A stand-in MCP server speaking the Streamable HTTP transport, for tests: sessions,
+// paginated resources/list, resources/read, and prompts/list and prompts/get (whose
+// reply comes as a server-sent event stream, after an unrelated event).
+
+import { createServer } from 'node:http';
+
+export const RESOURCES = [
+	{ uri: 'file:///notes/todo.md', name: 'todo.md', mimeType: 'text/markdown', description: 'Open tasks' },
+	{ uri: 'db://users/schema', name: 'users schema', mimeType: 'application/json' },
+];
+
+export const PROMPTS = [{ name: 'review', description: 'Code review', arguments: [{ name: 'lang' }] }];
+
+/**
+ * Start a server on a free port. `prompts: false` leaves out the prompt methods, which then
+ * answer "method not found" (-32601). Resolves to `{ url, requests, expireSessions, close }`,
+ * `requests` logging each call as `{ method, session }`.
+ */
+export async function startMcpServer({ prompts = true } = {}) {
+	const sessions = new Set();
+	let nextSession = 1;
+	const requests = [];
+
+	const server = createServer(async (req, res) => {
+		let body = '';
+		for await (const chunk of req) body += chunk;
+		const message = JSON.parse(body);
+		const session = req.headers['mcp-session-id'] || null;
+		requests.push({ method: message.method, session });
+
+		if (message.method !== 'initialize') {
+			if (!session) return end(400);
+			if (!sessions.has(session)) return end(404);
+		}
+		if (message.id === undefined) return end(202);
+
+		let result;
+		switch (message.method) {
+			case 'initialize': {
+				const id = `session-${nextSession++}`;
+				sessions.add(id);
+				res.setHeader('Mcp-Session-Id', id);
+				result = { protocolVersion: '2025-06-18', capabilities: {}, serverInfo: { name: 'stand-in', version: '1.0' } };
+				break;
+			}
+			case 'resources/list':
+				// Two pages, to exercise `nextCursor`
+				result = message.params?.cursor ? { resources: RESOURCES.slice(1) } : { resources: RESOURCES.slice(0, 1), nextCursor: 'page-2' };
+				break;
+			case 'resources/read': {
+				const resource = RESOURCES.find((r) => r.uri === message.params.uri);
+				if (!resource) return reply({ error: { code: -32002, message: 'Resource not found' } });
+				result = { contents: [{ uri: resource.uri, mimeType: resource.mimeType, text: `Contents of ${resource.uri}` }] };
+				break;
+			}
+			case 'prompts/list':
+				if (!prompts) return reply({ error: { code: -32601, message: 'Method not found' } });
+				result = { prompts: PROMPTS };
+				break;
+			case 'prompts/get':
+				if (!prompts) return reply({ error: { code: -32601, message: 'Method not found' } });
+				result = {
+					description: 'Review code',
+					messages: [{ role: 'user', content: { type: 'text', text: `Review this ${message.params.arguments.lang} code` } }],
+				};
+				break;
+			default:
+				return reply({ error: { code: -32601, message: 'Method not found' } });
+		}
+		reply({ result });
+
+		function end(status) {
+			res.writeHead(status);
+			res.end();
+		}
+
+		function reply(fields) {
+			const data = JSON.stringify({ jsonrpc: '2.0', id: message.id, ...fields });
+			if (message.method !== 'prompts/get') {
+				res.writeHead(200, { 'Content-Type': 'application/json' });
+				res.end(data);
+				return;
+			}
+			res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+			res.end(`event: message\ndata: {"jsonrpc":"2.0","method":"notifications/progress","params":{}}\n\nevent: message\ndata: ${data}\n\n`);
+		}
+	});
+
+	await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+	return {
+		url: `http://127.0.0.1:${server.address().port}/mcp`,
+		requests,
+		/** Forget every session, as a restarted server would: the next request with one gets 404. */
+		expireSessions: () => sessions.clear(),
+		close: () =>
+			new Promise((resolve) => {
+				server.close(resolve);
+				server.closeAllConnections(); // fetch keeps connections alive
+			}),
+	};
+}
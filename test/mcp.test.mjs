@@ -0,0 +1,84 @@
+// MCP mentions against the stand-in server: listing (with pagination), resources/read,
+// prompts/get over SSE, a new session after the old one expired, and servers without prompts.
+
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadContextArea } from './fake-monaco.mjs';
+import { startMcpServer } from './mcp-server.mjs';
+
+const { ContextArea, providers, element } = loadContextArea();
+let server;
+let bare; // a server without prompts
+
+before(async () => {
+	server = await startMcpServer();
+	bare = await startMcpServer({ prompts: false });
+});
+
+after(async () => {
+	await server.close();
+	await bare.close();
+});
+
+function createEditor(t, mcpServers) {
+	const ca = ContextArea.create(element(), { mcpServers, contextDebounce: 60000 });
+	t.after(() => ca.dispose());
+	// The mention provider is the last completion provider this instance registered
+	const provider = providers.completion.at(-1);
+	const complete = async (text) => {
+		ca.editor.setValue(text);
+		const { suggestions } = await provider.provideCompletionItems(ca.editor.getModel(), { lineNumber: 1, column: text.length + 1 });
+		// Ranked by fuzzy score; the order itself is not under test here
+		return suggestions.map((s) => s.insertText).sort();
+	};
+	return { ca, complete };
+}
+
+test('completes a server, then its resources (every page) and prompts', async (t) => {
+	const { complete } = createEditor(t, { local: server.url });
+	assert.deepEqual(await complete('@lo'), ['@local/']);
+	assert.deepEqual(await complete('@local/'), ['@local/db://users/schema', '@local/file:///notes/todo.md', '@local/prompt:review']);
+	assert.deepEqual(await complete('@local/todo'), ['@local/file:///notes/todo.md']);
+});
+
+test('resolves resources and prompts as context', async (t) => {
+	const { ca, complete } = createEditor(t, { local: server.url });
+	await complete('@local/'); // listed resources lend their names as titles
+	ca.editor.setValue('see @local/file:///notes/todo.md and @local/prompt:review?lang=go and @local/db://missing');
+	const { references } = await ca.getContext({ wait: true, content: true });
+	assert.deepEqual(
+		references.map(({ url, status, title, content, code }) => ({ url, status, title, content, code: code ?? null })),
+		[
+			{
+				url: '@local/file:///notes/todo.md',
+				status: 'resolved',
+				title: 'todo.md',
+				content: 'Contents of file:///notes/todo.md',
+				code: null,
+			},
+			{ url: '@local/prompt:review?lang=go', status: 'resolved', title: 'review', content: 'user: Review this go code', code: null },
+			{ url: '@local/db://missing', status: 'error', title: undefined, content: undefined, code: 'mcp_error' },
+		],
+	);
+});
+
+test('starts a new session when the server has forgotten the old one', async (t) => {
+	const { ca } = createEditor(t, { local: server.url });
+	ca.editor.setValue('@local/db://users/schema');
+	await ca.getContext({ wait: true });
+	server.expireSessions();
+	server.requests.length = 0;
+
+	const data = await ca.fetchContext('@local/db://users/schema', { fresh: true });
+	assert.equal(data.content, 'Contents of db://users/schema');
+	assert.deepEqual(
+		server.requests.map((r) => r.method),
+		['resources/read', 'initialize', 'notifications/initialized', 'resources/read'],
+	);
+	assert.notEqual(server.requests[0].session, server.requests[3].session);
+});
+
+test('lists only resources when the server has no prompts', async (t) => {
+	const { complete } = createEditor(t, { bare: bare.url });
+	assert.deepEqual(await complete('@bare/'), ['@bare/db://users/schema', '@bare/file:///notes/todo.md']);
+});
@@ -0,0 +1,39 @@
+// @suggestions from a registry are untrusted: their documentation must not carry HTML,
+// command links or script URLs.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadContextArea } from './fake-monaco.mjs';
+
+const { ContextArea, providers, element } = loadContextArea();
+
+async function documentationFor(t, suggestion) {
+	const ca = ContextArea.create(element(), { contextDebounce: 60000, suggestions: async () => ({ items: [suggestion] }) });
+	t.after(() => ca.dispose());
+	ca.editor.setValue('@');
+	const { suggestions } = await providers.completion.at(-1).provideCompletionItems(ca.editor.getModel(), { lineNumber: 1, column: 2 });
+	return suggestions[0].documentation;
+}
+
+test('escapes registry fields and does not trust the result', async (t) => {
+	const doc = await documentationFor(t, {
+		name: 'evil<b>',
+		icon: 'x" onerror="alert(1)',
+		description: '[run](command:contextarea.runCommand?[1,"clear"]) <script>alert(1)</script>',
+		url: 'javascript:alert(1)',
+	});
+	assert.ok(!doc.isTrusted);
+	assert.ok(!doc.value.includes('<img'));
+	assert.ok(doc.value.includes('**evil\\<b\\>**'));
+	assert.ok(doc.value.includes('\\[run\\]\\(command:contextarea\\.runCommand?\\[1,"clear"\\]\\) \\<script\\>'));
+	assert.ok(!/\]\(javascript:/.test(doc.value));
+});
+
+test('keeps http(s) and data: image icons and http(s) links', async (t) => {
+	const https = await documentationFor(t, { name: 'docs', icon: 'https://example.com/i.png?a="b"', url: 'https://example.com/docs' });
+	assert.match(https.value, /^<img src="https:\/\/example\.com\/i\.png\?a=%22b%22" width="16" height="16">/);
+	assert.match(https.value, /\]\(<https:\/\/example\.com\/docs>\)$/);
+
+	const data = await documentationFor(t, { name: 'docs', icon: 'data:image/png;base64,AAAA' });
+	assert.match(data.value, /^<img src="data:image\/png;base64,AAAA"/);
+});
@@ -0,0 +1,143 @@
+// The paste lifecycle in src/paste.js against an in-memory KV: expiry choices, sharing identical
+// content between uploads, releasing shared pastes, chunked storage and the metadata budget.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKv } from './fake-kv.mjs';
+import {
+	contentAddress,
+	deletePaste,
+	parseExpiry,
+	placePaste,
+	readPaste,
+	readPasteMetadata,
+	releasePaste,
+	uploadFileInfo,
+	validContentType,
+	writePaste,
+} from '../src/paste.js';
+
+const DAY = 86400 * 1000;
+const CHUNK_SIZE = 20 * 1024 * 1024;
+const hashOf = (n) => String(n).repeat(64).slice(0, 64);
+
+/** Store `text` as a new paste the way POST /paste does; resolves to its ID and address. */
+async function upload(kv, text, { expiresAt = Date.now() + DAY, burn = false, holder = 1 } = {}) {
+	const body = new TextEncoder().encode(text);
+	const address = await contentAddress(body);
+	const placed = await placePaste(kv, address, expiresAt, hashOf(holder));
+	if (!placed.shared) await writePaste(kv, placed.id, body, { hash: address.hash, expiresAt, burn, tokenHashes: [hashOf(holder)] });
+	return { ...placed, address };
+}
+
+test('parses expiry choices', () => {
+	const now = Date.now();
+	assert.ok(Math.abs(parseExpiry('10m').expiresAt - (now + 600_000)) < 1000);
+	assert.ok(Math.abs(parseExpiry('2w').expiresAt - (now + 14 * DAY)) < 1000);
+	assert.deepEqual(parseExpiry('never'), { expiresAt: null, burn: false });
+	const burn = parseExpiry('burn');
+	assert.equal(burn.burn, true);
+	assert.ok(Math.abs(burn.expiresAt - (now + 30 * DAY)) < 1000); // the default duration
+	for (const invalid of ['30s', '0m', '1000w', 'soon']) assert.equal(parseExpiry(invalid), null, invalid);
+});
+
+test('stores new content under its content address', async () => {
+	const kv = createKv();
+	const { id, shared, address } = await upload(kv, 'hello');
+	assert.equal(shared, null);
+	assert.equal(id, address.id);
+	assert.equal(id.length, 22);
+});
+
+test('shares identical content that lives at least as long', async () => {
+	const kv = createKv();
+	const first = await upload(kv, 'hello', { expiresAt: Date.now() + 7 * DAY });
+	const second = await upload(kv, 'hello', { expiresAt: Date.now() + DAY, holder: 2 });
+	assert.equal(second.id, first.id);
+	assert.deepEqual(second.shared.tokenHashes, [hashOf(1), hashOf(2)]);
+	assert.deepEqual((await readPasteMetadata(kv, first.id)).tokenHashes, [hashOf(1), hashOf(2)]);
+});
+
+test('does not share a paste that would expire first, a burn paste or a full one', async () => {
+	const kv = createKv();
+	const short = await upload(kv, 'short-lived', { expiresAt: Date.now() + DAY });
+	const longer = await upload(kv, 'short-lived', { expiresAt: Date.now() + 7 * DAY, holder: 2 });
+	assert.equal(longer.shared, null);
+	assert.notEqual(longer.id, short.id);
+	assert.equal((await upload(kv, 'short-lived', { expiresAt: null, holder: 3 })).shared, null); // never expires
+
+	const burn = await upload(kv, 'read once', { burn: true });
+	assert.equal((await upload(kv, 'read once', { holder: 2 })).shared, null);
+	assert.deepEqual((await readPasteMetadata(kv, burn.id)).tokenHashes, [hashOf(1)]);
+
+	const popular = await upload(kv, 'popular', { expiresAt: null });
+	for (let holder = 2; holder <= 5; holder++) assert.ok((await upload(kv, 'popular', { holder })).shared);
+	const sixth = await upload(kv, 'popular', { holder: 6 });
+	assert.equal(sixth.shared, null);
+	assert.notEqual(sixth.id, popular.id);
+});
+
+test('keeps a shared paste until its last holder releases it', async () => {
+	const kv = createKv();
+	const { id } = await upload(kv, 'shared', { expiresAt: Date.now() + 7 * DAY });
+	assert.equal((await upload(kv, 'shared', { holder: 2 })).id, id);
+
+	await releasePaste(kv, id, await readPasteMetadata(kv, id), hashOf(1));
+	assert.deepEqual((await readPasteMetadata(kv, id)).tokenHashes, [hashOf(2)]);
+
+	await releasePaste(kv, id, await readPasteMetadata(kv, id), hashOf(2));
+	assert.equal(await readPasteMetadata(kv, id), null);
+});
+
+test('splits large bodies into chunks and reads them back in order', async () => {
+	const kv = createKv();
+	const body = new Uint8Array(CHUNK_SIZE * 2 + 5).map((_, i) => i % 251);
+	await writePaste(kv, 'big', body, { contentType: 'application/octet-stream' });
+	assert.deepEqual([...kv.entries.keys()], ['big:2', 'big:1', 'big']);
+	assert.deepEqual(await readPasteMetadata(kv, 'big'), { contentType: 'application/octet-stream', size: body.byteLength, chunks: 3 });
+
+	const paste = await readPaste(kv, 'big');
+	const read = new Uint8Array(await new Response(paste.body).arrayBuffer());
+	await paste.done;
+	assert.equal(read.byteLength, body.byteLength);
+	assert.ok(read.every((b, i) => b === body[i]));
+
+	// A smaller version removes the chunks it no longer needs
+	await writePaste(kv, 'big', new Uint8Array(10), {}, 3);
+	assert.deepEqual([...kv.entries.keys()], ['big']);
+	await deletePaste(kv, 'big', 1);
+	assert.equal(kv.entries.size, 0);
+});
+
+test('keeps the worst-case metadata within the 1024 bytes KV allows', async () => {
+	const kv = createKv();
+	for (const name of ['\u{1f600}'.repeat(300), '漢'.repeat(300) + '.md', '"'.repeat(500), 'a'.repeat(2000) + '.txt']) {
+		const request = new Request('https://ctx.test/paste', {
+			method: 'POST',
+			headers: { 'X-File-Name': encodeURIComponent(name), 'X-File-Last-Modified': String(Number.MAX_SAFE_INTEGER) },
+		});
+		const info = uploadFileInfo(request);
+		assert.ok(info.fileName.endsWith(name.slice(-8)), 'keeps the end of the name');
+		await writePaste(kv, 'full', new Uint8Array(1), {
+			contentType: `application/${'x'.repeat(116)}`,
+			encrypted: true,
+			bundle: true,
+			files: 99999,
+			...info,
+			createdAt: Date.now(),
+			hash: 'h'.repeat(43),
+			expiresAt: Date.now() + 365 * DAY,
+			burn: false,
+			tokenHashes: [1, 2, 3, 4, 5].map(hashOf),
+		});
+	}
+});
+
+test('accepts only media types of bounded length as Content-Type', () => {
+	assert.ok(validContentType('text/plain'));
+	assert.ok(validContentType('text/markdown; charset=utf-8'));
+	assert.ok(validContentType('multipart/form-data; boundary=----abc123'));
+	assert.ok(!validContentType(`text/${'x'.repeat(200)}`));
+	assert.ok(!validContentType('not a type'));
+	assert.ok(!validContentType('text/plainé'));
+});
@@ -0,0 +1,81 @@
+// Selector fragments on /context URLs: `#L10-L20` line ranges, `#$.path` JSONPath and
+// `#/pointer` JSON Pointer.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applySelector, splitSelector } from '../src/selector.js';
+
+const JSON_DOC = JSON.stringify({
+	name: 'demo',
+	items: [
+		{ id: 1, tags: ['a'] },
+		{ id: 2, tags: ['b', 'c'] },
+	],
+	'a/b': { '~x': true },
+	"it's": 'quoted',
+});
+
+test('splits selector fragments off the document URL', () => {
+	assert.deepEqual(splitSelector('https://e.com/f.txt#L10-L20'), {
+		url: 'https://e.com/f.txt',
+		selector: { kind: 'lines', start: 10, end: 20 },
+	});
+	assert.deepEqual(splitSelector('https://e.com/f.txt#L7').selector, { kind: 'lines', start: 7, end: 7 });
+	assert.deepEqual(splitSelector('https://e.com/f.txt#l20-12').selector, { kind: 'lines', start: 12, end: 20 });
+	assert.deepEqual(splitSelector('https://e.com/d.json#$.items[0]').selector, { kind: 'jsonpath', path: '$.items[0]' });
+	assert.deepEqual(splitSelector('https://e.com/d.json#%24.items%5B0%5D').selector, { kind: 'jsonpath', path: '$.items[0]' });
+	assert.deepEqual(splitSelector('https://e.com/d.json#/items/1').selector, { kind: 'pointer', path: '/items/1' });
+});
+
+test('leaves ordinary fragments and URLs without one alone', () => {
+	assert.deepEqual(splitSelector('https://e.com/page#intro'), { url: 'https://e.com/page', selector: null });
+	assert.deepEqual(splitSelector('https://e.com/page'), { url: 'https://e.com/page', selector: null });
+});
+
+test('selects line ranges, clamped to the end of the document', () => {
+	const text = ['one', 'two', 'three', 'four'].join('\n');
+	assert.deepEqual(applySelector(text, 'text', { kind: 'lines', start: 2, end: 3 }), {
+		content: 'two\nthree',
+		selection: { kind: 'lines', start: 2, end: 3, totalLines: 4 },
+	});
+	assert.deepEqual(applySelector(text, 'text', { kind: 'lines', start: 3, end: 99 }).selection, {
+		kind: 'lines',
+		start: 3,
+		end: 4,
+		totalLines: 4,
+	});
+	assert.throws(() => applySelector(text, 'text', { kind: 'lines', start: 5, end: 6 }), { code: 'selector_not_found', status: 422 });
+});
+
+const select = (path) => {
+	const { selector } = splitSelector(`https://e.com/d.json#${path}`);
+	const { content, selection } = applySelector(JSON_DOC, 'json', selector);
+	return { value: JSON.parse(content), matches: selection.matches };
+};
+
+test('selects JSON with JSONPath', () => {
+	assert.deepEqual(select('$.name'), { value: 'demo', matches: 1 });
+	assert.deepEqual(select('$.items[1].tags'), { value: ['b', 'c'], matches: 1 });
+	assert.deepEqual(select('$.items[-1].id'), { value: 2, matches: 1 });
+	assert.deepEqual(select('$.items[*].id'), { value: [1, 2], matches: 2 });
+	assert.deepEqual(select("$['it\\'s']"), { value: 'quoted', matches: 1 });
+	assert.deepEqual(select('$["a/b"]'), { value: { '~x': true }, matches: 1 });
+});
+
+test('selects JSON with JSON Pointer, unescaping ~1 and ~0', () => {
+	assert.deepEqual(select('/items/0/tags/0'), { value: 'a', matches: 1 });
+	assert.deepEqual(select('/a~1b/~0x'), { value: true, matches: 1 });
+});
+
+test('reports selectors that match nothing or do not parse', () => {
+	const selector = (path) => splitSelector(`https://e.com/d.json#${path}`).selector;
+	assert.throws(() => applySelector(JSON_DOC, 'json', selector('$.missing')), { code: 'selector_not_found' });
+	assert.throws(() => applySelector(JSON_DOC, 'json', selector('/items/5')), { code: 'selector_not_found' });
+	assert.throws(() => applySelector(JSON_DOC, 'json', selector('$.items[')), /Invalid JSONPath/);
+	assert.throws(() => applySelector('not json', 'json', selector('$.a')), /not valid JSON/);
+});
+
+test('ignores JSON selectors on other content, and no selector at all', () => {
+	assert.deepEqual(applySelector('<p>hi</p>', 'html', { kind: 'jsonpath', path: '$.a' }), { content: '<p>hi</p>', selection: null });
+	assert.deepEqual(applySelector('text', 'text', null), { content: 'text', selection: null });
+});
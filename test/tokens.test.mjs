@@ -0,0 +1,83 @@
+// The inline token count: the worker counts the text, but never gets the key of an encrypted
+// paste link or the decrypted content expanded from one.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadContextArea } from './fake-monaco.mjs';
+
+const { ContextArea, commands, element } = loadContextArea();
+const PASTE_URL = 'https://ctx.test/paste/abc';
+
+/** A worker that keeps one paste and answers /tokens with the length of the text it gets. */
+function fakeWorker() {
+	const counted = [];
+	let paste;
+	globalThis.fetch = async (url, init = {}) => {
+		if (url === '/paste' && init.method === 'POST') {
+			paste = init.body;
+			return new Response(PASTE_URL);
+		}
+		if (url === `${PASTE_URL}/meta`) return Response.json({ size: paste.byteLength });
+		if (url === `${PASTE_URL}?raw`) return new Response(paste);
+		if (url === '/tokens') {
+			const { text } = JSON.parse(init.body);
+			counted.push(text);
+			return Response.json({ tokens: text.length, encoding: 'o200k_base' });
+		}
+		return new Response(null, { status: 404 });
+	};
+	return counted;
+}
+
+function nextEvent(ca, type, matches = () => true) {
+	return new Promise((resolve) => {
+		const listener = ca.on(type, (payload) => {
+			if (!matches(payload)) return;
+			listener.dispose();
+			resolve(payload);
+		});
+	});
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 30));
+
+test('leaves out encrypted paste keys and the content expanded from them', async (t) => {
+	const counted = fakeWorker();
+	const ca = ContextArea.create(element(), { encrypt: true, tokenBudget: 1000, contextDebounce: 5 });
+	t.after(() => ca.dispose());
+
+	const url = await ca.uploadPaste('top secret plaintext');
+	const key = url.split('#key=')[1];
+	assert.ok(key);
+	ca.editor.setValue(`Summarize ${url} please`);
+	await settle();
+	assert.equal(counted.at(-1), `Summarize ${PASTE_URL} please`);
+
+	const { references } = await ca.getContext({ wait: true });
+	const done = nextEvent(ca, 'expand', (e) => e.state !== 'start');
+	commands.expandUrl(ca.id, url, references[0].ranges[0]);
+	assert.equal((await done).state, 'done');
+	assert.match(ca.editor.getValue(), /top secret plaintext/);
+	await settle();
+
+	assert.equal(counted.at(-1), 'Summarize  please');
+	for (const text of counted) {
+		assert.ok(!text.includes(key) && !text.includes('#key=') && !text.includes('top secret'));
+	}
+	const totals = ca.getTokenTotals();
+	assert.equal(totals.inlineEstimated, true);
+	assert.ok(totals.inlineTokens > 'Summarize  please'.length);
+});
+
+test('counts plain text with the worker and stops estimating', async (t) => {
+	const counted = fakeWorker();
+	const ca = ContextArea.create(element(), { tokenBudget: 1000, contextDebounce: 5 });
+	t.after(() => ca.dispose());
+
+	ca.editor.setValue('just some words');
+	assert.equal(ca.getTokenTotals().inlineEstimated, true);
+	await settle();
+	assert.deepEqual(counted, ['just some words']);
+	assert.equal(ca.getTokenTotals().inlineEstimated, false);
+	assert.equal(ca.getTokenTotals().inlineTokens, 'just some words'.length);
+});